@@ -0,0 +1,280 @@
+/**
+ * Simple Logic AI Assistant
+ *
+ * Checking what the model sends back for AI Auto-Script: pulling the JSON object out of the reply,
+ * validating it against the expected shape, linting and running the scripts in it, and the follow-up prompt
+ * that asks the model to fix what was wrong. Also the prompts for the modes that work on the script in the
+ * editor (explain, refactor, test scenarios). No SillyTavern dependencies; index.js sends the requests.
+ *
+ * Expected reply for chat analysis:
+ *
+ *   {
+ *     "analysis": "Short summary of tone",
+ *     "suggestions": [{ "name": "combat_check", "code": "IF ...\nEND", "description": "optional" }]
+ *   }
+ */
+
+import { lintScript, runTestCase, scriptCommands } from "./engine.js";
+
+// How many times the model is asked to fix its reply before the results are shown as they are
+export const maxRepairAttempts = 2;
+
+export const suggestionSchemaText = `{
+   "analysis": "Short summary of tone",
+   "suggestions": [
+       { "name": "event_name", "code": "IF ... END", "description": "One line on what it does" }
+   ]
+}`;
+
+/**
+ * Finds the JSON object in a model reply, with or without a code fence or text around it.
+ * @param {string} text - Model reply.
+ * @returns {any} - Parsed JSON.
+ */
+export const extractJson = (text) => {
+    const fenced = text.match(/```(?:json)?\s*\n?([\s\S]*?)```/i);
+    let body = (fenced ? fenced[1] : text).trim();
+    if (!body.startsWith('{')) {
+        const start = body.indexOf('{');
+        const end = body.lastIndexOf('}');
+        if (start === -1 || end < start) throw new Error("The reply doesn't contain a JSON object");
+        body = body.substring(start, end + 1);
+    }
+    try {
+        return JSON.parse(body);
+    } catch (e) {
+        throw new Error(`The reply isn't valid JSON: ${e.message}`);
+    }
+};
+
+/**
+ * Checks a parsed reply against the expected shape.
+ * @param {any} data - Parsed reply.
+ * @returns {string[]} - Problems, empty if the reply is usable.
+ */
+export const validateSuggestionReply = (data) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return ["The reply must be a JSON object"];
+
+    const problems = [];
+    if (typeof data.analysis !== 'string') problems.push('"analysis" must be a string');
+    if (!Array.isArray(data.suggestions)) {
+        problems.push('"suggestions" must be an array');
+        return problems;
+    }
+    data.suggestions.forEach((s, i) => {
+        const where = `suggestions[${i}]`;
+        if (!s || typeof s !== 'object' || Array.isArray(s)) return problems.push(`${where} must be an object`);
+        if (typeof s.name !== 'string' || !s.name.trim()) problems.push(`${where}.name must be a non-empty string`);
+        else if (s.name.includes('/')) problems.push(`${where}.name can't contain "/"`);
+        if (typeof s.code !== 'string' || !s.code.trim()) problems.push(`${where}.code must be a non-empty string`);
+        if (s.description !== undefined && typeof s.description !== 'string') problems.push(`${where}.description must be a string`);
+    });
+    return problems;
+};
+
+/**
+ * Parses and validates a model reply.
+ * @param {string} text - Model reply.
+ * @param {object} host - Engine host, used to lint the scripts (CALL targets, settings).
+ * @returns {{data: object|null, problems: string[]}} - data has the suggestions with their lint errors
+ *   (`errors`, from lintScript); problems lists everything the model should fix, empty if nothing.
+ */
+export const checkSuggestionReply = (text, host) => {
+    let data;
+    try {
+        data = extractJson(text);
+    } catch (e) {
+        return { data: null, problems: [e.message] };
+    }
+    const problems = validateSuggestionReply(data);
+    if (problems.length) return { data: null, problems };
+
+    const suggestions = data.suggestions.map(s => ({
+        name: s.name.trim(),
+        code: s.code.replace(/\r\n/g, '\n').trim(),
+        description: s.description?.trim() || "",
+        errors: lintScript(s.code, host).filter(d => d.severity === 'error'),
+    }));
+    suggestions.forEach(s => {
+        s.errors.forEach(d => problems.push(`Script "${s.name}", line ${d.line}: ${d.message}`));
+    });
+    return { data: { analysis: data.analysis, suggestions }, problems };
+};
+
+// --- SCRIPT MODES ---
+
+export const refactorSchemaText = `{
+   "summary": "What was simplified",
+   "code": "The complete new script"
+}`;
+
+export const testSchemaText = `{
+   "tests": [
+       {
+           "name": "What this scenario covers",
+           "variables": { "global": { "hp": 2 }, "local": {} },
+           "message": "Last chat message (optional)",
+           "speaker": "user or char",
+           "worldInfo": ["Active World Info entry (optional)"]
+       }
+   ]
+}`;
+
+/**
+ * Prompt for a mode that works on one script.
+ * @param {'explain'|'refactor'|'tests'} mode - Explain in plain language, simplify, or write scenarios that cover every branch.
+ * @param {{name: string, content: string}} script - The script in the editor.
+ * @returns {string} - Prompt text.
+ */
+export const buildScriptPrompt = (mode, { name, content }) => {
+    const intro = `This is "${name || 'untitled'}", a script in Simple Logic, a small line-based scripting language for roleplay chats.
+Commands: ${scriptCommands.join(', ')}. Blocks (IF, REPEAT, WHILE, FOR) close with END. LAST_MESSAGE is the latest chat message;
+GLOBAL.name and LOCAL.name are variables (unset ones read as 0). SAY text is what the script outputs.
+
+Script:
+${content}
+`;
+    if (mode === 'explain') {
+        return `${intro}
+Explain what this script does in plain language, for someone who doesn't program: when it does something,
+what it says or changes, and which variables it reads and writes. Reply with the explanation only, no code and no JSON.`;
+    }
+    if (mode === 'refactor') {
+        return `${intro}
+Rewrite the script to be simpler and easier to read without changing what it does: the same output and the same
+variable changes for every input. Keep the variable names.
+
+Output ONLY a JSON object with this structure:
+${refactorSchemaText}`;
+    }
+    return `${intro}
+Write test scenarios for the script. Each scenario sets the inputs: the variables before it runs, the last chat message
+and who sent it, and the active World Info entries. Together the scenarios must run every line of the script: every IF,
+ELSE IF and ELSE branch and every loop body. Don't include expected results; they are filled in by running the script.
+
+Output ONLY a JSON object with this structure:
+${testSchemaText}`;
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Checks a refactoring reply: valid JSON, no syntax errors, and every test case that passes with the original
+ * script still passes with the new one.
+ * @param {string} text - Model reply.
+ * @param {string} original - The script that was sent.
+ * @param {{host: object, tests?: object[], getScript?: Function, settings?: object}} options - Lint host,
+ *   the script's test cases, and the runTestCase() options.
+ * @returns {{data: {summary: string, code: string}|null, problems: string[]}}
+ */
+export const checkRefactorReply = (text, original, { host, tests = [], getScript, settings }) => {
+    let data;
+    try {
+        data = extractJson(text);
+    } catch (e) {
+        return { data: null, problems: [e.message] };
+    }
+    if (!isPlainObject(data)) return { data: null, problems: ["The reply must be a JSON object"] };
+
+    const problems = [];
+    if (typeof data.summary !== 'string') problems.push('"summary" must be a string');
+    if (typeof data.code !== 'string' || !data.code.trim()) problems.push('"code" must be a non-empty string');
+    if (problems.length) return { data: null, problems };
+
+    const code = data.code.replace(/\r\n/g, '\n').trim();
+    lintScript(code, host).filter(d => d.severity === 'error').forEach(d => problems.push(`Line ${d.line}: ${d.message}`));
+    if (problems.length === 0) {
+        tests.filter(t => runTestCase(original, t, { getScript, settings }).passed).forEach(t => {
+            const result = runTestCase(code, t, { getScript, settings });
+            if (!result.passed) problems.push(`The new script behaves differently in test "${result.name}": ${result.failures.join('; ')}`);
+        });
+    }
+    return { data: { summary: data.summary.trim(), code }, problems };
+};
+
+/**
+ * Script lines that none of the traced runs reached. ELSE and END are left out: they are passed over
+ * whichever branch runs. Lines run from CALLed scripts don't count.
+ * @param {string} content - Script text.
+ * @param {object[][]} traces - One trace per run (see runScript).
+ * @returns {{line: number, text: string}[]}
+ */
+export const findUncoveredLines = (content, traces) => {
+    const covered = new Set(traces.flat().filter(step => step.depth === 0).map(step => step.line));
+    return content.split(/\r?\n/)
+        .map((text, index) => ({ line: index + 1, text: text.trim() }))
+        .filter(l => l.text && !/^(ELSE|END)\b/i.test(l.text) && !covered.has(l.line));
+};
+
+const validateTestReply = (data) => {
+    if (!isPlainObject(data)) return ["The reply must be a JSON object"];
+    if (!Array.isArray(data.tests) || data.tests.length === 0) return ['"tests" must be a non-empty array'];
+
+    const problems = [];
+    data.tests.forEach((t, i) => {
+        const where = `tests[${i}]`;
+        if (!isPlainObject(t)) return problems.push(`${where} must be an object`);
+        if (typeof t.name !== 'string' || !t.name.trim()) problems.push(`${where}.name must be a non-empty string`);
+        if (t.variables !== undefined && (!isPlainObject(t.variables) || Object.keys(t.variables).some(k => !['global', 'local'].includes(k) || !isPlainObject(t.variables[k])))) {
+            problems.push(`${where}.variables must look like { "global": {...}, "local": {...} }`);
+        }
+        if (t.message !== undefined && typeof t.message !== 'string') problems.push(`${where}.message must be a string`);
+        if (t.speaker !== undefined && !['user', 'char'].includes(t.speaker)) problems.push(`${where}.speaker must be "user" or "char"`);
+        if (t.worldInfo !== undefined && (!Array.isArray(t.worldInfo) || t.worldInfo.some(e => typeof e !== 'string'))) {
+            problems.push(`${where}.worldInfo must be an array of entry names`);
+        }
+    });
+    return problems;
+};
+
+/**
+ * Checks a test scenario reply and runs every scenario against the script.
+ * @param {string} text - Model reply.
+ * @param {string} content - The script that was sent.
+ * @param {{getScript?: Function, settings?: object}} [options] - runTestCase() options.
+ * @returns {{data: {tests: {testCase: object, result: object}[], uncovered: {line: number, text: string}[]}|null, problems: string[]}} -
+ *   Test cases hold only the inputs; result is what the script does with them.
+ */
+export const checkTestReply = (text, content, options = {}) => {
+    let data;
+    try {
+        data = extractJson(text);
+    } catch (e) {
+        return { data: null, problems: [e.message] };
+    }
+    const problems = validateTestReply(data);
+    if (problems.length) return { data: null, problems };
+
+    const traces = [];
+    const tests = data.tests.map(t => {
+        // Expectations from the model are dropped; the caller records what the script actually does
+        const testCase = { name: t.name.trim(), variables: { global: {}, local: {}, ...t.variables } };
+        if (t.message) {
+            testCase.message = t.message;
+            testCase.speaker = t.speaker || 'user';
+        }
+        if (t.worldInfo?.length) testCase.worldInfo = t.worldInfo;
+
+        const trace = [];
+        traces.push(trace);
+        return { testCase, result: runTestCase(content, testCase, { ...options, trace }) };
+    });
+
+    const uncovered = findUncoveredLines(content, traces);
+    if (uncovered.length) {
+        problems.push(`No scenario runs these lines, add scenarios that reach them: ${uncovered.map(l => `line ${l.line} (${l.text})`).join(', ')}`);
+    }
+    return { data: { tests, uncovered }, problems };
+};
+
+/**
+ * The follow-up message asking the model to fix its previous reply.
+ * @param {string[]} problems - From one of the check...Reply() functions.
+ * @param {string} [schemaText] - The structure the reply should have.
+ * @returns {string} - Prompt text.
+ */
+export const buildRepairPrompt = (problems, schemaText = suggestionSchemaText) => `Your reply had these problems:
+${problems.map(p => `- ${p}`).join('\n')}
+
+Reply again with the complete corrected JSON object only, in this structure:
+${schemaText}`;
@@ -0,0 +1,421 @@
+/**
+ * Simple Logic Editor
+ *
+ * Turns the script textarea into a small code editor. A highlighted copy of the text is drawn behind
+ * the textarea (whose own text is transparent), so selection, undo and every `.val()` call keep working.
+ * Adds auto-indent, block matching and autocomplete. Browser-only; no SillyTavern imports.
+ */
+
+import { scriptCommands, languageKeywords, splitInterpolation } from "./engine.js";
+
+const indentUnit = '  ';
+const blockOpenerRegex = /^(IF|REPEAT|WHILE|FOR)\b/i;
+const tokenRegex = /(\{\{.*?\}\})|("[^"]*"?|'[^']*'?)|(\d*[dD]\d+(?:[kK][hHlL]\d+|adv|dis|ADV|DIS)?(?![\w.]))|(\d+(?:\.\d+)?)|([A-Za-z_][\w.]*)|(==|!=|>=|<=|&&|\|\||[=><!+\-*/%])/g;
+
+const commandWords = new Set(scriptCommands);
+const operatorWords = new Set(languageKeywords.operators);
+const functionWords = new Set(languageKeywords.functions);
+const valueWords = new Set(languageKeywords.values);
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const span = (cls, text) => `<span class="${cls}">${escapeHtml(text)}</span>`;
+
+// Highlights the part of a line after its command word
+const highlightExpression = (text) => {
+    let html = "";
+    let last = 0;
+    for (const match of text.matchAll(tokenRegex)) {
+        html += escapeHtml(text.substring(last, match.index));
+        const [token, macro, string, dice, number, word] = match;
+        const upper = word?.toUpperCase();
+        if (macro) html += span('sl-macro', token);
+        else if (string) html += span('sl-str', token);
+        else if (dice || number) html += span('sl-num', token);
+        else if (upper === 'IF') html += span('sl-cmd', token); // ELSE IF
+        else if (word && operatorWords.has(upper)) html += span('sl-op', token);
+        else if (word && functionWords.has(upper)) html += span('sl-fn', token);
+        else if (word && valueWords.has(upper)) html += span('sl-val', token);
+        else if (word) html += escapeHtml(token);
+        else html += span('sl-punct', token);
+        last = match.index + token.length;
+    }
+    return html + escapeHtml(text.substring(last));
+};
+
+// SAY text is literal, so only macros and ${expressions} stand out
+const highlightLiteral = (text) => text.split(/(\{\{.*?\}\})/).map((part, i) => i % 2 ? span('sl-macro', part) : escapeHtml(part)).join('');
+
+const highlightText = (text) => {
+    let parts;
+    try {
+        parts = splitInterpolation(text);
+    } catch (e) {
+        return highlightLiteral(text); // Unclosed ${ while typing
+    }
+    // Parts don't keep escapes (\${), so slice the original text between them
+    return parts.map((part, i) => {
+        const end = parts[i + 1]?.start ?? text.length;
+        const source = text.substring(part.start, end);
+        if (part.expression === undefined) return highlightLiteral(source);
+        return span('sl-interp', '${') + highlightExpression(part.expression) + span('sl-interp', '}');
+    }).join('');
+};
+
+/**
+ * Highlights one script line.
+ * @param {string} line - Line text.
+ * @returns {string} - HTML.
+ */
+export const highlightLine = (line) => {
+    const indent = line.match(/^\s*/)[0];
+    const body = line.substring(indent.length);
+
+    const word = body.match(/^[A-Za-z_]+/)?.[0];
+    if (!word || !commandWords.has(word.toUpperCase())) return indent + highlightExpression(body);
+
+    const rest = body.substring(word.length);
+    if (/^SAY(LN|RAW)?$/i.test(word)) return indent + span('sl-cmd', word) + highlightText(rest);
+    return indent + span('sl-cmd', word) + highlightExpression(rest);
+};
+
+/**
+ * Finds IF/ELSE/END, REPEAT/END, WHILE/END and FOR EACH/END groups.
+ * @param {string[]} lines - Script lines.
+ * @returns {number[][]} - Line indexes (0-based) of each block's opener, ELSEs and END.
+ */
+export const findBlocks = (lines) => {
+    const blocks = [];
+    const stack = [];
+    lines.forEach((line, index) => {
+        const trimmed = line.trim();
+        if (blockOpenerRegex.test(trimmed)) {
+            stack.push([index]);
+        } else if (/^ELSE\b/i.test(trimmed) && stack.length) {
+            stack[stack.length - 1].push(index);
+        } else if (/^END\b/i.test(trimmed) && stack.length) {
+            const block = stack.pop();
+            block.push(index);
+            blocks.push(block);
+        }
+    });
+    // Unclosed blocks still match their opener and ELSEs
+    return blocks.concat(stack);
+};
+
+const editorStyle = `
+.simple-logic-editor { position: relative; }
+.simple-logic-editor pre.sl-highlight { position: absolute; top: 0; left: 0; margin: 0; overflow: hidden; pointer-events: none; white-space: pre; border-color: transparent !important; background: transparent; }
+.simple-logic-editor textarea.sl-input { position: relative; color: transparent !important; background: transparent; caret-color: var(--SmartThemeBodyColor, #ddd); white-space: pre; overflow: auto; }
+.simple-logic-editor .sl-cmd { color: #c586c0; font-weight: bold; }
+.simple-logic-editor .sl-op { color: #569cd6; }
+.simple-logic-editor .sl-fn { color: #dcdcaa; }
+.simple-logic-editor .sl-val { color: #4fc1ff; }
+.simple-logic-editor .sl-str { color: #ce9178; }
+.simple-logic-editor .sl-num { color: #b5cea8; }
+.simple-logic-editor .sl-macro { color: #d7ba7d; }
+.simple-logic-editor .sl-interp { color: #c586c0; }
+.simple-logic-editor .sl-punct { color: #d4d4d4; }
+.simple-logic-editor .sl-match { background: rgba(255, 255, 255, 0.12); border-radius: 2px; }
+.simple-logic-editor .sl-complete { position: absolute; z-index: 10; max-height: 160px; overflow-y: auto; min-width: 140px; font-family: monospace; font-size: 0.9em;
+    background: var(--SmartThemeBlurTintColor, #222); border: 1px solid var(--SmartThemeBorderColor, #555); border-radius: 4px; }
+.simple-logic-editor .sl-complete div { padding: 1px 6px; cursor: pointer; white-space: nowrap; }
+.simple-logic-editor .sl-complete div.active { background: var(--SmartThemeQuoteColor, rgba(255, 255, 255, 0.15)); }
+.simple-logic-editor .sl-complete small { opacity: 0.6; margin-left: 8px; }
+`;
+
+// Metrics the highlight layer must share with the textarea so the text lines up
+const mirroredStyles = ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'tabSize',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle', 'boxSizing'];
+
+/**
+ * Attaches the editor to a textarea.
+ * @param {HTMLTextAreaElement} textarea - The script textarea (stays the source of truth).
+ * @param {object} options
+ * @param {() => {variables: string[], scripts: string[]}} options.getCompletions - Known variable and script names.
+ * @returns {{refresh: () => void}} - Call refresh() after changing the textarea value from code.
+ */
+export const attachEditor = (textarea, { getCompletions }) => {
+    if (!document.getElementById('simple-logic-editor-style')) {
+        const style = document.createElement('style');
+        style.id = 'simple-logic-editor-style';
+        style.textContent = editorStyle;
+        document.head.appendChild(style);
+    }
+
+    const wrapper = textarea.parentElement;
+    wrapper.classList.add('simple-logic-editor');
+    textarea.classList.add('sl-input');
+    textarea.setAttribute('wrap', 'off');
+    textarea.setAttribute('spellcheck', 'false');
+
+    const highlight = document.createElement('pre');
+    highlight.className = 'sl-highlight text_pole';
+    wrapper.insertBefore(highlight, textarea);
+
+    const popup = document.createElement('div');
+    popup.className = 'sl-complete';
+    popup.style.display = 'none';
+    wrapper.appendChild(popup);
+
+    let matchedLines = new Set();
+    let completion = null; // { items, active, start } while the popup is open
+
+    const syncLayout = () => {
+        const computed = getComputedStyle(textarea);
+        mirroredStyles.forEach(prop => highlight.style[prop] = computed[prop]);
+        highlight.style.width = `${textarea.offsetWidth}px`;
+        highlight.style.height = `${textarea.offsetHeight}px`;
+        highlight.style.top = `${textarea.offsetTop}px`;
+        highlight.style.left = `${textarea.offsetLeft}px`;
+    };
+
+    const syncScroll = () => {
+        highlight.scrollTop = textarea.scrollTop;
+        highlight.scrollLeft = textarea.scrollLeft;
+    };
+
+    const render = () => {
+        const lines = textarea.value.split('\n');
+        // A trailing space keeps the last empty line's height, as in the textarea
+        highlight.innerHTML = lines.map((line, i) => {
+            const html = highlightLine(line);
+            return matchedLines.has(i) ? `<span class="sl-match">${html || ' '}</span>` : html;
+        }).join('\n') + ' ';
+        syncScroll();
+    };
+
+    const caretLine = () => textarea.value.substring(0, textarea.selectionStart).split('\n').length - 1;
+
+    // Highlights the block (IF / ELSE / END) the caret is on
+    const updateBlockMatch = () => {
+        const line = caretLine();
+        const block = findBlocks(textarea.value.split('\n')).find(b => b.includes(line));
+        const next = new Set(block && block.length > 1 ? block : []);
+        if (next.size === matchedLines.size && [...next].every(l => matchedLines.has(l))) return;
+        matchedLines = next;
+        render();
+    };
+
+    // Replaces a range the way typing would, so the browser's undo history keeps working
+    const replaceRange = (start, end, text) => {
+        textarea.focus();
+        textarea.setSelectionRange(start, end);
+        if (!document.execCommand?.('insertText', false, text)) {
+            textarea.setRangeText(text, start, end, 'end');
+            textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    };
+
+    const lineStartOf = (pos) => textarea.value.lastIndexOf('\n', pos - 1) + 1;
+
+    // Indent of the innermost open block above the given line (for END / ELSE)
+    const openerIndent = (lineIndex) => {
+        const lines = textarea.value.split('\n');
+        const stack = [];
+        for (let i = 0; i < lineIndex; i++) {
+            const trimmed = lines[i].trim();
+            if (blockOpenerRegex.test(trimmed)) stack.push(lines[i].match(/^\s*/)[0]);
+            else if (/^END\b/i.test(trimmed)) stack.pop();
+        }
+        return stack.length ? stack[stack.length - 1] : null;
+    };
+
+    const onEnter = () => {
+        const start = textarea.selectionStart;
+        const line = textarea.value.substring(lineStartOf(start), start);
+        let indent = line.match(/^\s*/)[0];
+        const trimmed = line.trim();
+        if (blockOpenerRegex.test(trimmed) || /^ELSE\b/i.test(trimmed)) indent += indentUnit;
+        replaceRange(start, textarea.selectionEnd, `\n${indent}`);
+    };
+
+    // Typing the last letter of END or ELSE lines it up with the IF / REPEAT / WHILE / FOR it closes
+    const autoDedent = () => {
+        const pos = textarea.selectionStart;
+        const lineStart = lineStartOf(pos);
+        const before = textarea.value.substring(lineStart, pos);
+        if (!/^\s*(END|ELSE)$/i.test(before)) return;
+
+        const target = openerIndent(caretLine());
+        const current = before.match(/^\s*/)[0];
+        if (target === null || target === current) return;
+        replaceRange(lineStart, lineStart + current.length, target);
+        textarea.setSelectionRange(lineStart + target.length + before.trim().length, lineStart + target.length + before.trim().length);
+    };
+
+    const indentSelection = (outdent) => {
+        const { selectionStart, selectionEnd, value } = textarea;
+        if (!outdent && !value.substring(selectionStart, selectionEnd).includes('\n')) {
+            replaceRange(selectionStart, selectionEnd, indentUnit);
+            return;
+        }
+        const start = lineStartOf(selectionStart);
+        const lines = value.substring(start, selectionEnd).split('\n');
+        const changed = lines.map(l => outdent ? l.replace(new RegExp(`^ {1,${indentUnit.length}}|^\\t`), '') : indentUnit + l).join('\n');
+        replaceRange(start, selectionEnd, changed);
+        textarea.setSelectionRange(start, start + changed.length);
+    };
+
+    // --- Autocomplete ---
+
+    const closeCompletion = () => {
+        completion = null;
+        popup.style.display = 'none';
+    };
+
+    const wordBeforeCaret = () => {
+        const pos = textarea.selectionStart;
+        const match = textarea.value.substring(lineStartOf(pos), pos).match(/([A-Za-z_][\w./]*)$/);
+        return match ? { word: match[1], start: pos - match[1].length } : null;
+    };
+
+    const candidates = (prefix, lineBefore) => {
+        const { variables, scripts } = getCompletions();
+        // After CALL the next word is a script name
+        if (/^\s*CALL\s+[\w./]*$/i.test(lineBefore)) return scripts.map(s => ({ text: s, kind: 'script' }));
+
+        const typed = new Set();
+        const items = [];
+        const add = (text, kind) => {
+            if (typed.has(text.toUpperCase())) return;
+            typed.add(text.toUpperCase());
+            items.push({ text, kind });
+        };
+        if (/^\s*[A-Za-z_]*$/.test(lineBefore)) scriptCommands.forEach(c => add(c, 'command'));
+        variables.forEach(v => add(v, 'variable'));
+        languageKeywords.values.forEach(v => add(v, 'value'));
+        languageKeywords.functions.forEach(f => add(f, 'function'));
+        languageKeywords.operators.forEach(o => add(o, 'operator'));
+
+        const upper = prefix.toUpperCase();
+        return items.filter(i => i.text.toUpperCase().startsWith(upper) && i.text.toUpperCase() !== upper);
+    };
+
+    const renderCompletion = () => {
+        popup.innerHTML = "";
+        completion.items.forEach((item, i) => {
+            const row = document.createElement('div');
+            row.className = i === completion.active ? 'active' : '';
+            row.textContent = item.text;
+            const kind = document.createElement('small');
+            kind.textContent = item.kind;
+            row.appendChild(kind);
+            row.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                completion.active = i;
+                acceptCompletion();
+            });
+            popup.appendChild(row);
+        });
+        popup.children[completion.active]?.scrollIntoView({ block: 'nearest' });
+    };
+
+    // Places the popup under the caret (the textarea is monospace and doesn't wrap)
+    const positionPopup = () => {
+        const computed = getComputedStyle(textarea);
+        const lineHeight = parseFloat(computed.lineHeight) || parseFloat(computed.fontSize) * 1.2;
+        const probe = document.createElement('span');
+        probe.style.font = computed.font;
+        probe.style.visibility = 'hidden';
+        probe.style.position = 'absolute';
+        probe.textContent = 'MMMMMMMMMM';
+        document.body.appendChild(probe);
+        const charWidth = probe.offsetWidth / 10;
+        probe.remove();
+
+        const before = textarea.value.substring(0, textarea.selectionStart).split('\n');
+        const column = before[before.length - 1].length;
+        popup.style.left = `${textarea.offsetLeft + parseFloat(computed.paddingLeft) + column * charWidth - textarea.scrollLeft}px`;
+        popup.style.top = `${textarea.offsetTop + parseFloat(computed.paddingTop) + before.length * lineHeight - textarea.scrollTop + 2}px`;
+    };
+
+    const updateCompletion = () => {
+        const found = wordBeforeCaret();
+        if (!found || textarea.selectionStart !== textarea.selectionEnd) return closeCompletion();
+
+        const lineBefore = textarea.value.substring(lineStartOf(textarea.selectionStart), textarea.selectionStart);
+        // In SAY text, only inside ${...}
+        const inText = /^\s*SAY(LN|RAW)?\b/i.test(lineBefore) && lineBefore.lastIndexOf('${') <= lineBefore.lastIndexOf('}');
+        if (inText) return closeCompletion();
+
+        const items = candidates(found.word, lineBefore).slice(0, 50);
+        if (items.length === 0) return closeCompletion();
+
+        completion = { items, active: 0, start: found.start };
+        renderCompletion();
+        positionPopup();
+        popup.style.display = 'block';
+    };
+
+    const acceptCompletion = () => {
+        const item = completion.items[completion.active];
+        const start = completion.start;
+        closeCompletion();
+        replaceRange(start, textarea.selectionStart, item.text);
+    };
+
+    // --- Wiring ---
+
+    textarea.addEventListener('keydown', (e) => {
+        if (completion) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const count = completion.items.length;
+                completion.active = (completion.active + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+                renderCompletion();
+                return;
+            }
+            if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                acceptCompletion();
+                return;
+            }
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                closeCompletion();
+                return;
+            }
+        }
+        if (e.key === 'Enter' && !e.shiftKey && !e.ctrlKey && !e.altKey && !e.metaKey) {
+            e.preventDefault();
+            onEnter();
+        } else if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) {
+            e.preventDefault();
+            indentSelection(e.shiftKey);
+        } else if (e.key === ' ' && e.ctrlKey) {
+            e.preventDefault();
+            updateCompletion();
+        }
+    });
+
+    textarea.addEventListener('input', (e) => {
+        if (e.inputType === 'insertText') autoDedent();
+        render();
+        updateBlockMatch();
+        if (e.inputType === 'insertText' && /[\w.]/.test(e.data || "")) updateCompletion();
+        else closeCompletion();
+    });
+    textarea.addEventListener('scroll', () => {
+        syncScroll();
+        if (completion) positionPopup();
+    });
+    ['click', 'keyup'].forEach(type => textarea.addEventListener(type, (e) => {
+        if (type === 'keyup' && ['ArrowDown', 'ArrowUp', 'Enter', 'Tab'].includes(e.key) && completion) return;
+        updateBlockMatch();
+    }));
+    textarea.addEventListener('blur', closeCompletion);
+
+    if (typeof ResizeObserver === 'function') new ResizeObserver(syncLayout).observe(textarea);
+    syncLayout();
+    render();
+
+    return {
+        refresh: () => {
+            closeCompletion();
+            matchedLines = new Set();
+            syncLayout();
+            render();
+        },
+    };
+};
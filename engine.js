@@ -0,0 +1,2166 @@
+/**
+ * Simple Logic Engine
+ *
+ * Parser, interpreter and linter for the Simple Logic language, with no SillyTavern dependencies.
+ * Everything the engine needs from the outside world comes from a host object, so the same code
+ * runs inside SillyTavern (index.js) and under Node (tools/run-script-tests.js):
+ *
+ *   readVariable(scope, name)         -> raw stored value, or undefined / "" if unset ('local' or 'global')
+ *   writeVariable(scope, name, value) -> store a string value (lists and maps arrive as JSON), return true on success
+ *   getChat()                         -> chat messages ({ name, mes, is_user, is_system })
+ *   getNames()                        -> { user, char }
+ *   substitute(text)                  -> text with macros ({{char}}, ...) expanded
+ *   getScript(name)                   -> saved script { name, content } or null, for CALL
+ *   createRandom(script)              -> function returning 0.0 to 1.0 for this run (optional)
+ *   getSettings()                     -> overrides for defaultEngineSettings (optional)
+ *   snapshotVariables()               -> { local, global } copy, for step tracing (optional)
+ *   isWorldInfoActive(entry)          -> true if a World Info entry (title, key or uid) fired in the latest scan (optional)
+ *   setWorldInfoEnabled(entry, enabled, book) -> turn a lorebook entry on / off; book is null for the active books (optional)
+ *   inject(text, { depth, role })     -> put text into the prompt at a chat depth as 'system', 'user' or 'assistant' (optional)
+ *   output(action)                    -> NOTE / NARRATE / TOAST / SEND AS: { type: 'note', text, append }, { type: 'narrate', text },
+ *                                        { type: 'toast', text, level }, { type: 'sendAs', name, text } (optional)
+ */
+
+export const defaultEngineSettings = {
+    defaultScope: 'global', // Where unscoped SET creates new variables: 'global' or 'local' (chat)
+    maxCallDepth: 10, // Nested CALLs allowed before a script is assumed to be recursing forever
+    maxLoopIterations: 1000, // Total REPEAT/WHILE iterations per script run (CALLed scripts included), so a bad loop can't freeze the prompt builder
+    saySeparator: ' ', // Added after each SAY: ' ', '\n' or '' (SAYLN always ends the line, SAYRAW never adds anything)
+};
+
+const getEngineSettings = (host) => ({ ...defaultEngineSettings, ...(host.getSettings?.() || {}) });
+
+// --- VARIABLES ---
+
+// Unscoped lookups check the chat first, then global, so chat variables shadow globals of the same name.
+export const variableScopes = ['local', 'global'];
+
+/**
+ * Splits an optional scope prefix off a variable reference.
+ * Accepts `LOCAL mood`, `LOCAL.mood`, `GLOBAL gold`, `GLOBAL.gold` (case-insensitive).
+ * @param {string} text - e.g. "LOCAL mood = 3"
+ * @returns {{scope: string|null, rest: string}} - scope is 'local', 'global' or null (unscoped).
+ */
+export const splitScope = (text) => {
+    const match = text.trim().match(/^(GLOBAL|LOCAL)(?:\.|\s+(?!=))(.*)$/i);
+    if (match) return { scope: match[1].toLowerCase(), rest: match[2].trim() };
+    return { scope: null, rest: text.trim() };
+};
+
+// Host values: undefined, null and "" all mean unset (SillyTavern's own getters return "" for unknown names).
+const readHostVariable = (host, scope, varName) => {
+    const val = host.readVariable(scope, varName);
+    return val === null || val === "" ? undefined : val;
+};
+
+/**
+ * Reads a Simple Logic variable.
+ * @param {object} host - Engine host.
+ * @param {string} varName - Variable name.
+ * @param {string|null} [scope] - 'local' (chat), 'global', or null to check the chat first, then global.
+ * @returns {*} - Normalized value, or null if unset.
+ */
+export const getVariable = (host, varName, scope = null) => {
+    for (const s of scope ? [scope] : variableScopes) {
+        const val = readHostVariable(host, s, varName);
+        if (val !== undefined) return normalizeValue(val);
+    }
+
+    return null;
+};
+
+const normalizeValue = (val) => {
+    if (typeof val === 'object') return val; // Lists / maps put in a memory host as-is
+    if (!isNaN(parseFloat(val)) && isFinite(val)) return parseFloat(val);
+    if (val === "true") return true; 
+    if (val === "false") return false;
+    // Lists and maps are stored as JSON
+    if (/^\s*[[{]/.test(val)) {
+        try {
+            const parsed = JSON.parse(val);
+            if (isContainer(parsed)) return parsed;
+        } catch (e) {
+            // Just text that starts with a bracket
+        }
+    }
+    return val;
+}
+
+// Lists (arrays) and maps (plain objects)
+const isContainer = (val) => val !== null && typeof val === 'object' && !(val instanceof RegExp);
+
+/**
+ * Turns a value into the text that is stored: lists and maps as JSON, everything else as-is.
+ * @param {*} value - Value.
+ * @returns {string} - Stored text.
+ */
+export const serializeValue = (value) => isContainer(value) ? JSON.stringify(value) : String(value);
+
+/**
+ * Writes a Simple Logic variable.
+ * Unscoped writes update the variable where it already exists (chat first, then global);
+ * new variables go to the default scope from the settings.
+ * @param {object} host - Engine host.
+ * @param {string} varName - Variable name.
+ * @param {*} value - Value to store (saved as a string).
+ * @param {string|null} [scope] - 'local', 'global', or null.
+ */
+export const setVariable = (host, varName, value, scope = null) => {
+    const valStr = serializeValue(value);
+
+    if (!scope) {
+        scope = variableScopes.find(s => readHostVariable(host, s, varName) !== undefined)
+            || getEngineSettings(host).defaultScope
+            || 'global';
+    }
+
+    if (host.writeVariable(scope, varName, valStr)) {
+        console.debug(`[SimpleLogic] SETVAR ${scope.toUpperCase()} "${varName}" = "${valStr}"`);
+    } else {
+        console.warn(`[SimpleLogic] SETVAR Failed for ${scope.toUpperCase()} "${varName}" - No storage found!`);
+    }
+};
+
+// --- RANDOMNESS ---
+
+// 32-bit FNV-1a, used to turn seed text into a PRNG seed
+export const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+// Mulberry32: small, fast, good enough for dice
+export const createSeededRandom = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const maxDiceCount = 1000;
+
+/**
+ * Rolls dice notation: NdS, optionally keeping the highest/lowest K (NdSkhK / NdSklK),
+ * or with advantage / disadvantage (1d20adv / 1d20dis = roll twice, keep highest / lowest).
+ */
+const rollDice = ({ count, sides, keep }, random) => {
+    const rolls = [];
+    for (let i = 0; i < count; i++) rolls.push(Math.floor(random() * sides) + 1);
+
+    if (keep) {
+        rolls.sort((a, b) => keep.mode === 'h' ? b - a : a - b);
+        rolls.splice(keep.count);
+    }
+    return rolls.reduce((sum, roll) => sum + roll, 0);
+};
+
+const parseDice = (text) => {
+    const m = text.toLowerCase().match(/^(\d*)d(\d+)(?:k([hl])(\d+)|(adv|dis))?$/);
+    let count = m[1] === "" ? 1 : parseInt(m[1]);
+    const sides = parseInt(m[2]);
+    let keep = null;
+
+    if (m[3]) keep = { mode: m[3], count: parseInt(m[4]) };
+    if (m[5]) {
+        count = Math.max(count, 2);
+        keep = { mode: m[5] === 'adv' ? 'h' : 'l', count: count - 1 };
+    }
+    return { count, sides, keep };
+};
+
+// --- EXPRESSION PARSER ---
+
+// Matches one token at a time (sticky): Strings, {{macros}}, Dice, Numbers, Operators, Identifiers, or .field after ] / )
+const expressionTokenRegex = /\s*(?:"([^"]*)"|'([^']*)'|(\{\{.*?\}\})|(\d*[dD]\d+(?:[kK][hHlL]\d+|adv|dis|ADV|DIS)?(?![\w.]))|(\d+(?:\.\d+)?)|(==|!=|>=|<=|&&|\|\||[=><!()+\-*/%,:\[\]{}])|([A-Za-z_][\w.]*)|\.([A-Za-z_]\w*))/y;
+
+// Regex literal, only read right after MATCHES: /pattern/flags
+const regexLiteralRegex = /\s*\/((?:\\.|[^/\\])+)\/([a-z]*)/y;
+
+const comparisonOperators = ['==', '=', '!=', '>', '<', '>=', '<=', 'CONTAINS', 'HAS', 'MATCHES', 'IN'];
+
+const toNumber = (val) => {
+    if (typeof val === 'number') return val;
+    if (typeof val === 'boolean') return val ? 1 : 0;
+    const num = parseFloat(val);
+    return isNaN(num) ? 0 : num;
+};
+
+const isNumeric = (val) => typeof val === 'number' || typeof val === 'boolean' || (!isNaN(parseFloat(val)) && isFinite(val));
+
+// Functions callable inside expressions, e.g. clamp(hp - 10, 0, 100). Names are case-insensitive.
+const expressionFunctions = {
+    MIN: (...args) => Math.min(...args.map(toNumber)),
+    MAX: (...args) => Math.max(...args.map(toNumber)),
+    CLAMP: (val, low, high) => Math.min(Math.max(toNumber(val), toNumber(low)), toNumber(high)),
+    ROUND: (val, digits = 0) => {
+        const factor = Math.pow(10, toNumber(digits));
+        return Math.round(toNumber(val) * factor) / factor;
+    },
+    FLOOR: (val) => Math.floor(toNumber(val)),
+    CEIL: (val) => Math.ceil(toNumber(val)),
+    ABS: (val) => Math.abs(toNumber(val)),
+    // Items in a list, keys in a map, characters in text (0 if unset)
+    LENGTH: (val) => {
+        if (Array.isArray(val)) return val.length;
+        if (isContainer(val)) return Object.keys(val).length;
+        return val === null || val === undefined ? 0 : String(val).length;
+    },
+    // Text
+    UPPER: (val) => toText(val).toUpperCase(),
+    LOWER: (val) => toText(val).toLowerCase(),
+    CAPITALIZE: (val) => toText(val).charAt(0).toUpperCase() + toText(val).slice(1),
+    LEN: (val) => expressionFunctions.LENGTH(val),
+    // SUBSTR(text, start [, length]); a negative start counts from the end
+    SUBSTR: (val, start, length) => {
+        const text = toText(val);
+        let from = toNumber(start);
+        if (from < 0) from = Math.max(0, text.length + from);
+        return length === undefined ? text.substring(from) : text.substring(from, from + Math.max(0, toNumber(length)));
+    },
+    REPLACE: (val, find, replacement = "") => toText(val).split(toText(find)).join(toText(replacement)),
+    JOIN: (list, separator = ", ", lastSeparator) => {
+        const items = Array.isArray(list) ? list.map(toText) : [toText(list)];
+        if (lastSeparator === undefined || items.length < 2) return items.join(toText(separator));
+        return items.slice(0, -1).join(toText(separator)) + toText(lastSeparator) + items[items.length - 1];
+    },
+    // FORMAT(1234.5, 2) -> "1,234.50"
+    FORMAT: (val, decimals) => {
+        const digits = decimals === undefined ? undefined : Math.min(20, Math.max(0, toNumber(decimals)));
+        return toNumber(val).toLocaleString('en-US', digits === undefined ? { maximumFractionDigits: 20 } : { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    },
+    // PLURAL(count, "coin") -> "coin" / "coins"; give the plural for irregular words: PLURAL(n, "wolf", "wolves")
+    PLURAL: (count, singular, plural) => {
+        if (Math.abs(toNumber(count)) === 1) return toText(singular);
+        if (plural !== undefined) return toText(plural);
+        const word = toText(singular);
+        if (/(s|x|z|ch|sh)$/i.test(word)) return `${word}es`;
+        if (/[^aeiou]y$/i.test(word)) return `${word.slice(0, -1)}ies`;
+        return `${word}s`;
+    },
+};
+
+// How a value reads as text: lists as "a, b, c", maps as JSON, unset as nothing
+const toText = (val) => {
+    if (val === null || val === undefined) return "";
+    if (Array.isArray(val)) return val.map(toText).join(', ');
+    return serializeValue(val);
+};
+
+const expressionError = (exprString, message) => new Error(`Invalid expression "${exprString}": ${message}`);
+
+const tokenizeExpression = (exprString) => {
+    const tokens = [];
+    expressionTokenRegex.lastIndex = 0;
+
+    while (expressionTokenRegex.lastIndex < exprString.length) {
+        const start = expressionTokenRegex.lastIndex;
+
+        const previous = tokens[tokens.length - 1];
+        if (previous && previous.type === 'op' && previous.value === 'MATCHES') {
+            regexLiteralRegex.lastIndex = start;
+            const r = regexLiteralRegex.exec(exprString);
+            if (r) {
+                tokens.push({ type: 'regex', pattern: r[1], flags: r[2], text: r[0].trim() });
+                expressionTokenRegex.lastIndex = regexLiteralRegex.lastIndex;
+                continue;
+            }
+        }
+
+        const m = expressionTokenRegex.exec(exprString);
+        if (!m) {
+            if (exprString.slice(start).trim() === "") break; // Trailing whitespace
+            throw expressionError(exprString, `unexpected character "${exprString.slice(start).trim()[0]}"`);
+        }
+
+        // Indexing (`party[0]`, `party[0].name`) only applies when nothing separates the brackets from the value
+        const spaced = /^\s/.test(m[0]);
+        if (m[1] !== undefined || m[2] !== undefined) tokens.push({ type: 'string', value: m[1] ?? m[2], text: m[0].trim() });
+        else if (m[3] !== undefined) tokens.push({ type: 'macro', value: m[3], text: m[3] });
+        else if (m[4] !== undefined) {
+            // Dice need a count (1d20); without one they're only dice right after ROLL, so variables like d20 still read
+            const previous = tokens[tokens.length - 1];
+            if (/^\d/.test(m[4]) || (previous?.type === 'word' && previous.value.toUpperCase() === 'ROLL')) {
+                tokens.push({ type: 'dice', value: m[4], text: m[4] });
+            } else {
+                tokens.push({ type: 'word', value: m[4], text: m[4] });
+            }
+        }
+        else if (m[5] !== undefined) tokens.push({ type: 'number', value: parseFloat(m[5]), text: m[5] });
+        else if (m[6] !== undefined) tokens.push({ type: 'op', value: m[6], text: m[6], spaced });
+        else if (m[8] !== undefined) tokens.push({ type: 'field', value: m[8], text: `.${m[8]}`, spaced });
+        else {
+            // Keywords are case-insensitive, like commands
+            const upper = m[7].toUpperCase();
+            if (['AND', 'OR', 'NOT', 'CONTAINS', 'HAS', 'MATCHES', 'IN'].includes(upper)) {
+                tokens.push({ type: 'op', value: upper, text: m[7] });
+            } else {
+                tokens.push({ type: 'word', value: m[7], text: m[7] });
+            }
+        }
+    }
+
+    return tokens;
+};
+
+/**
+ * Parses a condition or value into a small expression tree.
+ * Precedence (lowest first): OR, AND, NOT, comparison, + -, * / %, unary minus, operand / call / (group).
+ * Operands include dice (`2d6`, `4d6kh3`, `1d20adv`; `d20` only as `ROLL d20`), `ROLL <expr>`, `PICK "a" "b":3 ...`,
+ * lists `["sword", 2]`, maps `{str: 3, "max hp": 10}`, and indexing `party[0]`, `party[-1].name`.
+ * @param {string} exprString - e.g. `hp < 10 AND (in_combat == true OR NOT fled)` or `clamp(hp - 10, 0, 100)`
+ * @param {object} [options]
+ * @param {boolean} [options.sequence] - Parse space-separated operands (e.g. CALL arguments: `10 "fire" (hp - 5)`) into an array.
+ * @returns {object|object[]} - Expression node(s), evaluated by evaluateExpression().
+ */
+export const parseExpression = (exprString, { sequence = false } = {}) => {
+    const tokens = tokenizeExpression(exprString);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isOp = (...ops) => peek() && peek().type === 'op' && ops.includes(peek().value);
+    const describe = (token) => token ? `"${token.text}"` : "end of expression";
+    const startsOperand = () => {
+        const token = peek();
+        if (!token) return false;
+        if (token.type === 'op') return ['(', '[', '{'].includes(token.value);
+        return token.type !== 'regex' && token.type !== 'field';
+    };
+
+    const parseOr = () => {
+        let node = parseAnd();
+        while (isOp('OR', '||')) {
+            pos++;
+            node = { type: 'logical', op: 'OR', left: node, right: parseAnd() };
+        }
+        return node;
+    };
+
+    const parseAnd = () => {
+        let node = parseNot();
+        while (isOp('AND', '&&')) {
+            pos++;
+            node = { type: 'logical', op: 'AND', left: node, right: parseNot() };
+        }
+        return node;
+    };
+
+    const parseNot = () => {
+        if (isOp('NOT', '!')) {
+            pos++;
+            return { type: 'not', operand: parseNot() };
+        }
+        return parseComparison();
+    };
+
+    const parseComparison = () => {
+        let left;
+        // Handle Missing LHS (e.g. " < 12" -> 0 < 12)
+        // This commonly happens if a variable macro resolves to empty string.
+        if (isOp(...comparisonOperators)) {
+            console.debug(`[SimpleLogic] Missing LHS. Defaulting to 0. Expr: "${exprString}"`);
+            left = { type: 'literal', value: 0 };
+        } else {
+            left = parseAdditive();
+        }
+
+        if (isOp(...comparisonOperators)) {
+            const op = tokens[pos++].value;
+            return { type: 'compare', op, left, right: parseAdditive() };
+        }
+        return left;
+    };
+
+    const parseAdditive = () => {
+        let node = parseMultiplicative();
+        while (isOp('+', '-')) {
+            const op = tokens[pos++].value;
+            node = { type: 'arithmetic', op, left: node, right: parseMultiplicative() };
+        }
+        return node;
+    };
+
+    const parseMultiplicative = () => {
+        let node = parseUnary();
+        while (isOp('*', '/', '%')) {
+            const op = tokens[pos++].value;
+            node = { type: 'arithmetic', op, left: node, right: parseUnary() };
+        }
+        return node;
+    };
+
+    const parseUnary = () => {
+        if (isOp('-')) {
+            pos++;
+            return { type: 'negate', operand: parseUnary() };
+        }
+        return parseOperand();
+    };
+
+    // An operand followed by any number of [index] / .field lookups
+    const parseOperand = () => {
+        let node = parsePrimary();
+        while (peek() && !peek().spaced && (isOp('[') || peek().type === 'field')) {
+            const token = tokens[pos++];
+            if (token.type === 'field') {
+                node = { type: 'index', target: node, key: { type: 'literal', value: token.value } };
+                continue;
+            }
+            const key = parseOr();
+            if (!isOp(']')) throw expressionError(exprString, `expected "]" but found ${describe(peek())}`);
+            pos++;
+            node = { type: 'index', target: node, key };
+        }
+        return node;
+    };
+
+    // Comma-separated items up to the closing bracket (a trailing comma is fine)
+    const parseItems = (close, parseItem) => {
+        const items = [];
+        while (!isOp(close)) {
+            items.push(parseItem());
+            if (!isOp(',')) break;
+            pos++;
+        }
+        if (!isOp(close)) throw expressionError(exprString, `expected "${close}" but found ${describe(peek())}`);
+        pos++;
+        return items;
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) throw expressionError(exprString, "unexpected end of expression");
+
+        if (token.type === 'op' && token.value === '(') {
+            pos++;
+            const node = parseOr();
+            if (!isOp(')')) throw expressionError(exprString, `expected ")" but found ${describe(peek())}`);
+            pos++;
+            return node;
+        }
+        if (token.type === 'op' && token.value === '[') {
+            pos++;
+            return { type: 'list', items: parseItems(']', parseOr) };
+        }
+        if (token.type === 'op' && token.value === '{') {
+            pos++;
+            return { type: 'map', entries: parseItems('}', parseMapEntry) };
+        }
+
+        pos++;
+        switch (token.type) {
+            case 'string':
+            case 'number':
+                return { type: 'literal', value: token.value };
+            case 'dice': {
+                const dice = parseDice(token.value);
+                if (dice.count > maxDiceCount) throw expressionError(exprString, `too many dice in ${token.text} (max ${maxDiceCount})`);
+                if (dice.sides < 1) throw expressionError(exprString, `dice need at least one side (${token.text})`);
+                return { type: 'dice', ...dice };
+            }
+            case 'regex':
+                try {
+                    // No "g": matching must be stateless and keep capture groups
+                    return { type: 'literal', value: new RegExp(token.pattern, token.flags.replace('g', '')) };
+                } catch (e) {
+                    throw expressionError(exprString, `invalid regex ${token.text} (${e.message})`);
+                }
+            case 'macro':
+                // Cleanup Syntax: {{getvar::varName}} or {{varName}} -> varName
+                return { type: 'variable', name: token.value.replace(/^{{\s*(getvar::)?/, "").replace(/}}$/, "").trim(), macro: true };
+            case 'word': {
+                const upper = token.value.toUpperCase();
+                if (isOp('(')) return parseCall(token);
+                if (upper === "TRUE") return { type: 'literal', value: true };
+                if (upper === "FALSE") return { type: 'literal', value: false };
+                if (upper === "RANDOM") return { type: 'random' };
+                if (upper === "ROLL") return parseAdditive(); // Readability prefix: ROLL 2d6+3
+                if (upper === "PICK") return parsePick();
+                if (upper === "WI_ACTIVE") return { type: 'worldInfo', entry: parseUnary() }; // WI_ACTIVE "Castle"
+                if (chatAccessors.includes(upper)) return { type: 'chat', field: upper };
+                if (upper === "MESSAGE" && isOp('[')) {
+                    pos++;
+                    const index = parseOr();
+                    if (!isOp(']')) throw expressionError(exprString, `expected "]" after MESSAGE[ but found ${describe(peek())}`);
+                    pos++;
+                    return { type: 'chat', field: 'MESSAGE', index };
+                }
+                const scoped = splitScope(token.value);
+                return { type: 'variable', name: scoped.rest, scope: scoped.scope };
+            }
+            default:
+                throw expressionError(exprString, `unexpected ${describe(token)}`);
+        }
+    };
+
+    // key: value inside a map literal; keys are words, strings or numbers
+    const parseMapEntry = () => {
+        const token = tokens[pos++];
+        if (!token || !['word', 'string', 'number'].includes(token.type)) {
+            throw expressionError(exprString, `expected a map key but found ${describe(token)}`);
+        }
+        if (!isOp(':')) throw expressionError(exprString, `expected ":" after map key ${describe(token)} but found ${describe(peek())}`);
+        pos++;
+        return { key: String(token.value), value: parseOr() };
+    };
+
+    // PICK "a" "b" "c" or weighted PICK "rare":1 "common":9
+    const parsePick = () => {
+        const options = [];
+        while (startsOperand()) {
+            const value = parseUnary();
+            let weight = null;
+            if (isOp(':')) {
+                pos++;
+                weight = parseUnary();
+            }
+            options.push({ value, weight });
+        }
+        if (options.length === 0) throw expressionError(exprString, "PICK needs at least one option");
+        return { type: 'pick', options };
+    };
+
+    const parseCall = (nameToken) => {
+        const name = nameToken.value.toUpperCase();
+        if (!expressionFunctions[name]) throw expressionError(exprString, `unknown function "${nameToken.text}"`);
+
+        pos++; // (
+        const args = [];
+        if (!isOp(')')) {
+            args.push(parseOr());
+            while (isOp(',')) {
+                pos++;
+                args.push(parseOr());
+            }
+        }
+        if (!isOp(')')) throw expressionError(exprString, `expected ")" after arguments of ${nameToken.text} but found ${describe(peek())}`);
+        pos++;
+        return { type: 'call', name, args };
+    };
+
+    if (sequence) {
+        const nodes = [];
+        while (pos < tokens.length) nodes.push(parseUnary());
+        return nodes;
+    }
+
+    if (tokens.length === 0) throw expressionError(exprString, "expression is empty");
+
+    const tree = parseOr();
+    if (pos < tokens.length) throw expressionError(exprString, `unexpected ${describe(peek())}`);
+    return tree;
+};
+
+export const isTruthy = (val) => {
+    if (val === null || val === undefined) return false;
+    if (typeof val === 'string') return val !== "" && val.toLowerCase() !== "false";
+    if (Array.isArray(val)) return val.length > 0; // Empty lists and maps are false
+    if (isContainer(val)) return Object.keys(val).length > 0;
+    return Boolean(val);
+};
+
+const applyArithmetic = (op, v1, v2) => {
+    if (op === '+' && Array.isArray(v1)) return v1.concat(Array.isArray(v2) ? v2 : [v2]); // List concatenation
+    if (op === '+' && !(isNumeric(v1) && isNumeric(v2))) return `${v1}${v2}`; // Text concatenation
+    const a = toNumber(v1);
+    const b = toNumber(v2);
+    switch (op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/':
+        case '%':
+            if (b === 0) throw new Error(`Division by zero in "${v1} ${op} ${v2}"`);
+            return op === '/' ? a / b : a % b;
+        default: return 0;
+    }
+};
+
+// --- CHAT ACCESSORS ---
+
+// Keywords that read from the current chat (case-insensitive). MESSAGE[n] is handled by the parser.
+const chatAccessors = ['LAST_MESSAGE', 'LAST_USER_MESSAGE', 'LAST_CHAR_MESSAGE', 'MESSAGE_COUNT', 'LAST_SPEAKER', 'CHAR', 'USER'];
+
+// Words expressions read as something else in any case, so a variable with one of these names could never be read back
+const reservedNames = ['TRUE', 'FALSE', 'RANDOM', 'ROLL', 'PICK', 'WI_ACTIVE', ...chatAccessors];
+
+// Error message for writing to a reserved name, or null if the name is usable
+const reservedNameError = (name) => reservedNames.includes(name.toUpperCase())
+    ? `"${name}" can't be a variable name: ${name.toUpperCase()} is a built-in word (pick another name)`
+    : null;
+
+/**
+ * Reads a chat accessor value.
+ * @param {object} host - Engine host.
+ * @param {string} field - One of chatAccessors, or 'MESSAGE'.
+ * @param {number} [index] - For MESSAGE: 0 is the first message, -1 the last.
+ * @returns {string|number} - Message text / name, or "" if there is no such message.
+ */
+const readChatValue = (host, field, index = 0) => {
+    const chat = host.getChat() || [];
+    const last = chat[chat.length - 1];
+
+    switch (field) {
+        case 'LAST_MESSAGE': return last?.mes ?? "";
+        case 'LAST_USER_MESSAGE': return chat.findLast(m => m.is_user)?.mes ?? "";
+        case 'LAST_CHAR_MESSAGE': return chat.findLast(m => !m.is_user && !m.is_system)?.mes ?? "";
+        case 'MESSAGE_COUNT': return chat.length;
+        case 'LAST_SPEAKER': return last?.name ?? "";
+        case 'CHAR': return host.getNames().char ?? "";
+        case 'USER': return host.getNames().user ?? "";
+        case 'MESSAGE': return chat[index < 0 ? chat.length + index : index]?.mes ?? "";
+        default: return "";
+    }
+};
+
+/**
+ * Tests text against a MATCHES pattern and, on success, exposes the captures to the script as
+ * MATCH0 (whole match), MATCH1..n (groups) and MATCH_name (named groups) so they can be SET into variables.
+ */
+const matchPattern = (text, pattern, frame) => {
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(String(pattern), 'i');
+    const match = String(text).match(regex);
+    if (!match) return false;
+
+    if (frame && frame.bindings) {
+        for (const key of Object.keys(frame.bindings)) {
+            if (key.startsWith('MATCH')) delete frame.bindings[key];
+        }
+        match.forEach((value, index) => frame.bindings[`MATCH${index}`] = value ?? "");
+        for (const [name, value] of Object.entries(match.groups || {})) frame.bindings[`MATCH_${name}`] = value ?? "";
+    }
+    return true;
+};
+
+// Text matches case-insensitively, like CONTAINS
+const sameItem = (a, b) => typeof a === 'string' && typeof b === 'string' ? a.toLowerCase() === b.toLowerCase() : a == b;
+
+// CONTAINS / HAS / IN: an item of a list, a key of a map, or a piece of text
+const containsValue = (container, item) => {
+    if (Array.isArray(container)) return container.some(entry => sameItem(entry, item));
+    if (isContainer(container)) return Object.hasOwn(container, String(item));
+    return String(container).toLowerCase().includes(String(item).toLowerCase());
+};
+
+const compareValues = (op, v1, v2) => {
+    // Lists and maps are equal when their contents are
+    if ((op === '==' || op === '=' || op === '!=') && (isContainer(v1) || isContainer(v2))) {
+        return (serializeValue(v1) === serializeValue(v2)) === (op !== '!=');
+    }
+    switch (op) {
+        case '>': return v1 > v2;
+        case '<': return v1 < v2;
+        case '>=': return v1 >= v2;
+        case '<=': return v1 <= v2;
+        case '==': return v1 == v2; // loose equality matches JS behavior
+        case '=': return v1 == v2; // forgiving assignment-as-equality
+        case '!=': return v1 != v2;
+        case 'CONTAINS':
+        case 'HAS':
+            return containsValue(v1, v2);
+        case 'IN': return containsValue(v2, v1);
+        default: return false;
+    }
+};
+
+// Frame-local names (CALL arguments, loop variables) shadow stored variables.
+const lookupName = (name, scope, frame) => {
+    if (!scope && frame && frame.bindings && Object.hasOwn(frame.bindings, name)) return frame.bindings[name];
+    return getVariable(frame.host, name, scope);
+};
+
+/**
+ * Reads one entry of a list (by position, negative counts from the end) or a map (by key).
+ * @returns {*} - The entry, or null if there is none.
+ */
+const readEntry = (container, key) => {
+    if (Array.isArray(container)) {
+        const index = toNumber(key);
+        if (!Number.isInteger(index)) return null;
+        return container[index < 0 ? container.length + index : index] ?? null;
+    }
+    if (isContainer(container) && Object.hasOwn(container, String(key))) return container[String(key)];
+    return null;
+};
+
+// A dotted name is a variable of its own if one exists (`player.hp`), otherwise a path into a map (`stats.str`).
+const lookupVariable = (node, frame) => {
+    const value = lookupName(node.name, node.scope, frame);
+    if (value !== null || !node.name.includes('.')) return value;
+
+    const [base, ...keys] = node.name.split('.');
+    return keys.reduce((container, key) => readEntry(container, key), lookupName(base, node.scope, frame));
+};
+
+// Like evaluateExpression, but unset variables and missing entries come back as null instead of 0
+const evaluateOperand = (node, frame) => {
+    if (node.type === 'variable') return lookupVariable(node, frame);
+    if (node.type === 'index') return readEntry(evaluateOperand(node.target, frame), evaluateExpression(node.key, frame));
+    return evaluateExpression(node, frame);
+};
+
+/**
+ * Evaluates a node produced by parseExpression().
+ * AND / OR short-circuit, so variables on the skipped side are never looked up.
+ * @param {object} node - Expression node.
+ * @param {object} [frame] - The running script's frame (see executeScript): host, argument bindings, random source.
+ *   Only constant expressions can be evaluated without one.
+ */
+export const evaluateExpression = (node, frame) => {
+    const evaluate = (child) => evaluateExpression(child, frame);
+
+    switch (node.type) {
+        case 'literal': return node.value;
+        case 'random': return (frame?.random || Math.random)(); // 0.0 to 1.0
+        case 'dice': return rollDice(node, frame?.random || Math.random);
+        case 'pick': {
+            const weights = node.options.map(o => o.weight ? Math.max(0, toNumber(evaluate(o.weight))) : 1);
+            const total = weights.reduce((sum, w) => sum + w, 0);
+            if (total <= 0) return evaluate(node.options[0].value);
+
+            let roll = (frame?.random || Math.random)() * total;
+            for (let i = 0; i < node.options.length; i++) {
+                roll -= weights[i];
+                if (roll < 0) return evaluate(node.options[i].value);
+            }
+            return evaluate(node.options[node.options.length - 1].value);
+        }
+        case 'chat': return readChatValue(frame.host, node.field, node.index ? toNumber(evaluate(node.index)) : 0);
+        case 'worldInfo': return Boolean(frame.host.isWorldInfoActive?.(toText(evaluate(node.entry))));
+        case 'variable': {
+            const lookedUp = lookupVariable(node, frame);
+            return lookedUp === null || lookedUp === undefined ? 0 : lookedUp;
+        }
+        case 'index': return evaluateOperand(node, frame) ?? 0; // Missing entries read as 0, like unset variables
+        case 'list': return node.items.map(evaluate);
+        case 'map': return Object.fromEntries(node.entries.map(entry => [entry.key, evaluate(entry.value)]));
+        case 'negate': return -toNumber(evaluate(node.operand));
+        case 'arithmetic': return applyArithmetic(node.op, evaluate(node.left), evaluate(node.right));
+        // Functions see unset values as null, so LENGTH(missing) is 0
+        case 'call': return expressionFunctions[node.name](...node.args.map(arg => evaluateOperand(arg, frame)));
+        case 'not': return !isTruthy(evaluate(node.operand));
+        case 'logical':
+            if (node.op === 'AND') return isTruthy(evaluate(node.left)) && isTruthy(evaluate(node.right));
+            return isTruthy(evaluate(node.left)) || isTruthy(evaluate(node.right));
+        case 'compare': {
+            const v1 = evaluate(node.left);
+            const v2 = evaluate(node.right);
+            if (node.op === 'MATCHES') return matchPattern(v1, v2, frame);
+            return compareValues(node.op, v1, v2);
+        }
+        default:
+            throw new Error(`Unknown expression node "${node.type}"`);
+    }
+};
+
+const evaluateCondition = (exprString, frame) => isTruthy(evaluateExpression(parseInFrame(exprString, frame), frame));
+
+/**
+ * Evaluates the right-hand side of SET / SETVAR.
+ * Keeps the legacy "store it verbatim" behavior for text that isn't an expression
+ * (e.g. `SET name = Bob Smith`) or is a single word that isn't a known variable (e.g. `SET mood = happy`).
+ * @param {string} valueStr - Raw right-hand side.
+ * @param {object} [frame] - The running script's frame.
+ * @returns {*} - The value to store.
+ */
+const evaluateAssignment = (valueStr, frame) => {
+    let tree;
+    try {
+        tree = parseInFrame(valueStr, frame);
+    } catch (e) {
+        console.debug(`[SimpleLogic] Storing "${valueStr}" as text (${e.message})`);
+        return valueStr.startsWith('"') && valueStr.endsWith('"') ? valueStr.slice(1, -1) : valueStr;
+    }
+
+    if (tree.type === 'variable' && lookupVariable(tree, frame) === null) return valueStr;
+    return evaluateExpression(tree, frame);
+};
+
+// --- TEXT OUTPUT ---
+
+/**
+ * Splits SAY text into literal text and `${expression}` parts. `\${` writes a literal "${".
+ * @param {string} text - SAY text, e.g. `You have ${gold} ${PLURAL(gold, "coin")}`.
+ * @returns {{text?: string, expression?: string, start: number}[]} - Parts in order; start is the offset in the text.
+ */
+export const splitInterpolation = (text) => {
+    const parts = [];
+    let literal = "";
+    let literalStart = 0;
+    let i = 0;
+
+    while (i < text.length) {
+        if (text.startsWith('\\${', i)) {
+            literal += '${';
+            i += 3;
+            continue;
+        }
+        if (!text.startsWith('${', i)) {
+            literal += text[i++];
+            continue;
+        }
+
+        // The matching }, skipping over strings and map literals
+        let depth = 0;
+        let quote = null;
+        let end = i + 2;
+        for (; end < text.length; end++) {
+            const c = text[end];
+            if (quote) {
+                if (c === quote) quote = null;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (c === '{') {
+                depth++;
+            } else if (c === '}') {
+                if (depth === 0) break;
+                depth--;
+            }
+        }
+        if (end >= text.length) throw new Error(`"\${" is never closed with "}" in: ${text.substring(i)}`);
+
+        if (literal) parts.push({ text: literal, start: literalStart });
+        parts.push({ expression: text.substring(i + 2, end), start: i });
+        literal = "";
+        i = end + 1;
+        literalStart = i;
+    }
+    if (literal) parts.push({ text: literal, start: literalStart });
+    return parts;
+};
+
+// Command text: surrounding quotes are dropped
+const unquote = (text) => text.length > 1 && text.startsWith('"') && text.endsWith('"') ? text.slice(1, -1) : text;
+
+// Fills in `${...}` parts; a part that fails shows its error in place
+const interpolateText = (text, frame) => {
+    if (!text.includes('${')) return text;
+    return splitInterpolation(text).map(part => {
+        if (part.text !== undefined) return part.text;
+        try {
+            return toText(evaluateExpression(parseInFrame(part.expression, frame), frame));
+        } catch (e) {
+            console.debug(`[SimpleLogic] ${e.message}`);
+            frame.errors?.push(e.message);
+            return `[Error: ${e.message}]`;
+        }
+    }).join('');
+};
+
+// --- WORLD INFO & PROMPT INJECTION ---
+
+// WI ENABLE|DISABLE entry [IN book]; the entry and book are a quoted name or a single word / variable
+const worldInfoCommandRegex = /^WI\s+(ENABLE|DISABLE)\s+("[^"]*"|'[^']*'|\S+)(?:\s+IN\s+(.+))?$/i;
+
+// INJECT text [DEPTH n] [ROLE system|user|assistant]
+const injectCommandRegex = /^INJECT\s+(.*?)(?:\s+DEPTH\s+(\S+))?(?:\s+ROLE\s+(\w+))?\s*$/i;
+
+export const injectRoles = ['system', 'user', 'assistant'];
+const defaultInjectDepth = 4;
+
+const executeWorldInfoCommand = (line, frame) => {
+    const match = line.trim().match(worldInfoCommandRegex);
+    if (!match) throw new Error('WI needs the form WI ENABLE "entry" or WI DISABLE "entry" [IN "lorebook"]');
+    if (!frame.host.setWorldInfoEnabled) throw new Error("World Info isn't available here");
+
+    const entry = toText(evaluateAssignment(match[2], frame));
+    const book = match[3] ? toText(evaluateAssignment(match[3].trim(), frame)) : null;
+    frame.host.setWorldInfoEnabled(entry, match[1].toUpperCase() === 'ENABLE', book);
+};
+
+const executeInject = (line, frame) => {
+    const match = line.trim().match(injectCommandRegex);
+    if (!match || !match[1]) throw new Error('INJECT needs text, e.g. INJECT "The castle is on fire." DEPTH 2 ROLE system');
+    if (!frame.host.inject) throw new Error("Prompt injection isn't available here");
+
+    const text = unquote(match[1]);
+    const depth = match[2] ? toNumber(evaluateExpression(parseInFrame(match[2], frame), frame)) : defaultInjectDepth;
+    if (!Number.isInteger(depth) || depth < 0) throw new Error(`INJECT DEPTH must be a whole number of 0 or more, not ${match[2]}`);
+    const role = (match[3] || 'system').toLowerCase();
+    if (!injectRoles.includes(role)) throw new Error(`INJECT ROLE must be ${injectRoles.join(', ')} (not ${match[3]})`);
+
+    frame.host.inject(interpolateText(text, frame), { depth, role });
+};
+
+// --- OUTPUT CHANNELS ---
+
+// NOTE [APPEND] text | NARRATE text | TOAST [level] text | SEND AS name text
+const outputCommandRegex = /^(?:(NOTE)(?:\s+(APPEND))?|(NARRATE)|(TOAST)(?:\s+(INFO|SUCCESS|WARNING|ERROR)(?=\s))?|(SEND)\s+AS\s+("[^"]*"|'[^']*'|\S+))\s+(.+)$/i;
+
+/**
+ * Parses an output command line.
+ * @param {string} line - Trimmed script line.
+ * @returns {{type: 'note'|'narrate'|'toast'|'sendAs', text: string, append?: boolean, level?: string, name?: string}|null}
+ *   - text and name are unevaluated; null if the line doesn't have the right form.
+ */
+const parseOutputCommand = (line) => {
+    const m = line.match(outputCommandRegex);
+    if (!m) return null;
+    const text = m[8].trim();
+    if (m[1]) return { type: 'note', text, append: Boolean(m[2]) };
+    if (m[3]) return { type: 'narrate', text };
+    if (m[4]) return { type: 'toast', text, level: (m[5] || 'info').toLowerCase() };
+    return { type: 'sendAs', name: m[7], text };
+};
+
+const outputCommandUsage = {
+    NOTE: 'NOTE needs text, e.g. NOTE The party is in the castle. (NOTE APPEND adds a line)',
+    NARRATE: 'NARRATE needs text, e.g. NARRATE The torches flicker.',
+    TOAST: 'TOAST needs text, e.g. TOAST WARNING Low health!',
+    SEND: 'SEND needs the form SEND AS name text, e.g. SEND AS "Guard Captain" Halt!',
+};
+
+// Output goes to the host, which decides when it happens (SillyTavern: once per generation, after the reply)
+const executeOutputCommand = (command, line, frame) => {
+    const action = parseOutputCommand(line.trim());
+    if (!action) throw new Error(outputCommandUsage[command]);
+    if (!frame.host.output) throw new Error(`${command} isn't available here`);
+
+    action.text = interpolateText(unquote(action.text), frame);
+    if (action.name) action.name = toText(evaluateAssignment(action.name, frame));
+    frame.host.output(action);
+};
+
+// --- LISTS & MAPS ---
+
+// A variable reference at the start of a command, up to the first space outside brackets: `gold`, `stats.str`, `party[i + 1]`
+const referenceRegex = /^((?:[^\s\[]|\[[^\]]*\])+)\s*(.*)$/;
+
+/**
+ * Splits a command's variable reference from the rest of the line.
+ * @param {string} text - e.g. `inventory "sword"`
+ * @returns {{reference: string, rest: string}|null} - null if the text is empty.
+ */
+const splitReference = (text) => {
+    const match = text.trim().match(referenceRegex);
+    return match ? { reference: match[1], rest: match[2].trim() } : null;
+};
+
+/**
+ * Resolves a variable reference to the stored variable and the path inside it.
+ * @param {string} text - `gold`, `stats.str`, `party[0]`, `party[-1].name`.
+ * @param {string|null} scope - Scope from the command (LOCAL / GLOBAL), if any.
+ * @param {object} frame - The running script's frame (bracket keys may be expressions).
+ * @returns {{name: string, scope: string|null, keys: Array}} - Variable name and entry keys (empty for the whole variable).
+ */
+const resolveReference = (text, scope, frame) => {
+    let name = text;
+    const keys = [];
+    if (text.includes('[')) {
+        let node = parseInFrame(text, frame);
+        while (node.type === 'index') {
+            keys.unshift(evaluateExpression(node.key, frame));
+            node = node.target;
+        }
+        if (node.type !== 'variable' || node.macro) throw new Error(`"${text}" is not a variable`);
+        name = node.name;
+        scope = scope ?? node.scope;
+    }
+    const reserved = reservedNameError(name);
+    if (reserved) throw new Error(reserved);
+
+    if (name.includes('.') && getVariable(frame.host, name, scope) === null) {
+        const [base, ...fields] = name.split('.');
+        if (keys.length || isContainer(getVariable(frame.host, base, scope))) return { name: base, scope, keys: [...fields, ...keys] };
+    }
+    return { name, scope, keys };
+};
+
+const readReference = (ref, frame) => ref.keys.reduce((container, key) => readEntry(container, key), getVariable(frame.host, ref.name, ref.scope));
+
+/**
+ * Changes the value a reference points to and stores the result.
+ * For entries, the list / map is copied, passed to `update(container, lastKey)` and written back as a whole.
+ * Missing maps along the path are created; writing into a scalar is an error.
+ * @param {{name: string, scope: string|null, keys: Array}} ref - From resolveReference().
+ * @param {object} frame - The running script's frame.
+ * @param {(container: object, key: *) => void} update - Mutates the copy.
+ */
+const updateReference = (ref, frame, update) => {
+    const stored = getVariable(frame.host, ref.name, ref.scope);
+    const root = isContainer(stored) ? structuredClone(stored) : stored === null ? (typeof ref.keys[0] === 'number' ? [] : {}) : null;
+    if (!root) throw new Error(`"${ref.name}" is not a list or map`);
+
+    let container = root;
+    ref.keys.slice(0, -1).forEach(key => {
+        let next = readEntry(container, key);
+        if (next === null) {
+            next = {};
+            writeEntry(container, key, next);
+        } else if (!isContainer(next)) {
+            throw new Error(`"${ref.name}" has no list or map at ${JSON.stringify(key)}`);
+        }
+        container = next;
+    });
+    update(container, ref.keys[ref.keys.length - 1]);
+    setVariable(frame.host, ref.name, root, ref.scope);
+};
+
+const writeEntry = (container, key, value) => {
+    if (!Array.isArray(container)) {
+        container[String(key)] = value;
+        return;
+    }
+    let index = toNumber(key);
+    if (index < 0) index += container.length;
+    if (!Number.isInteger(index) || index < 0 || index > container.length) {
+        throw new Error(`List index ${key} is out of range (the list has ${container.length} item(s))`);
+    }
+    container[index] = value;
+};
+
+const removeEntry = (container, key) => {
+    if (!Array.isArray(container)) {
+        delete container[String(key)];
+        return;
+    }
+    let index = toNumber(key);
+    if (index < 0) index += container.length;
+    if (Number.isInteger(index) && index >= 0) container.splice(index, 1);
+};
+
+// SET / SETVAR / INC / DEC target: the whole variable, or one entry of a list / map
+const writeReference = (ref, value, frame) => {
+    if (ref.keys.length === 0) setVariable(frame.host, ref.name, value, ref.scope);
+    else updateReference(ref, frame, (container, key) => writeEntry(container, key, value));
+};
+
+// The list PUSH / REMOVE / CLEAR work on (an unset variable is an empty list)
+const modifyList = (ref, frame, command, modify) => {
+    const current = readReference(ref, frame);
+    if (current !== null && !isContainer(current)) throw new Error(`${command}: "${ref.name}" is ${JSON.stringify(current)}, not a list or map`);
+    const copy = current === null ? [] : structuredClone(current);
+    modify(copy);
+    writeReference(ref, copy, frame);
+};
+
+/**
+ * Runs PUSH / REMOVE / CLEAR:
+ *   PUSH [LOCAL|GLOBAL] list value     add to the end of a list
+ *   REMOVE [LOCAL|GLOBAL] list value   remove the first matching item (or the key, for a map)
+ *   REMOVE [LOCAL|GLOBAL] list[i]      remove one entry (also `stats.str`)
+ *   CLEAR [LOCAL|GLOBAL] list          empty a list or map
+ * @param {string} command - 'PUSH', 'REMOVE' or 'CLEAR'.
+ * @param {string} text - Everything after the command.
+ * @param {object} frame - The running script's frame.
+ */
+const executeListCommand = (command, text, frame) => {
+    const { scope, rest } = splitScope(text);
+    const parts = splitReference(rest);
+    if (!parts) throw new Error(`${command} needs a variable name`);
+    const ref = resolveReference(parts.reference, scope, frame);
+
+    if (command === 'CLEAR') {
+        const current = readReference(ref, frame);
+        writeReference(ref, Array.isArray(current) || !isContainer(current) ? [] : {}, frame);
+    } else if (command === 'PUSH') {
+        if (!parts.rest) throw new Error(`PUSH needs a value, e.g. PUSH ${parts.reference} "sword"`);
+        const value = evaluateAssignment(parts.rest, frame);
+        modifyList(ref, frame, command, list => {
+            if (!Array.isArray(list)) throw new Error(`PUSH: "${parts.reference}" is a map, not a list (use SET ${parts.reference}.key = value)`);
+            list.push(value);
+        });
+    } else if (parts.rest) {
+        const value = evaluateAssignment(parts.rest, frame);
+        modifyList(ref, frame, command, container => {
+            if (!Array.isArray(container)) return removeEntry(container, value);
+            const index = container.findIndex(item => sameItem(item, value));
+            if (index !== -1) container.splice(index, 1);
+        });
+    } else if (ref.keys.length) {
+        updateReference(ref, frame, removeEntry);
+    } else {
+        throw new Error(`REMOVE needs a value or an entry, e.g. REMOVE ${parts.reference} "sword" or REMOVE ${parts.reference}[0]`);
+    }
+};
+
+// ARG1..ARGn and ARGC for a called script
+const argumentBindings = (args) => {
+    const bindings = { ARGC: args.length };
+    args.forEach((value, index) => bindings[`ARG${index + 1}`] = value);
+    return bindings;
+};
+
+/**
+ * Runs a CALL line: `CALL scriptName [arg1 arg2 ...] [INTO [LOCAL|GLOBAL] var]`.
+ * Arguments are bound as ARG1..ARGn (plus ARGC) inside the called script.
+ * Without INTO, the called script's output is returned for the caller to append;
+ * with INTO, its RETURN value (or its output if it never returned a value) is stored instead.
+ * @param {string} callStr - Everything after "CALL ".
+ * @param {object} frame - The caller's frame.
+ * @returns {string} - Text to append to the caller's output.
+ */
+const executeCall = (callStr, frame) => {
+    let target = null;
+    const intoMatch = callStr.match(/\s+INTO\s+(.+)$/i);
+    if (intoMatch) {
+        const { scope, rest } = splitScope(intoMatch[1]);
+        target = { scope, name: rest };
+        callStr = callStr.substring(0, intoMatch.index);
+    }
+
+    const nameMatch = callStr.trim().match(/^(?:"([^"]+)"|(\S+))\s*(.*)$/);
+    if (!nameMatch) throw new Error("CALL needs a script name");
+    const scriptName = nameMatch[1] ?? nameMatch[2];
+
+    const saved = frame.host.getScript(scriptName);
+    if (!saved) throw new Error(`CALL: no saved script named "${scriptName}"`);
+
+    const maxDepth = getEngineSettings(frame.host).maxCallDepth;
+    if (frame.depth + 1 > maxDepth) {
+        throw new Error(`CALL "${scriptName}" exceeded the maximum call depth of ${maxDepth} (is a script calling itself?)`);
+    }
+
+    const args = parseInFrame(nameMatch[3], frame, { sequence: true }).map(node => evaluateExpression(node, frame));
+    const bindings = argumentBindings(args);
+
+    console.debug(`[SimpleLogic] CALL "${scriptName}" (depth ${frame.depth + 1})`, args);
+    const result = executeScript(saved.content, { ...frame, depth: frame.depth + 1, bindings, scriptName, scriptId: saved.id ?? null });
+
+    if (!target) return result.output;
+    setVariable(frame.host, target.name, result.returnValue ?? result.output, target.scope);
+    return "";
+};
+
+/**
+ * Runs a script.
+ * @param {string} script - Script text.
+ * @param {object} host - Engine host (see top of file).
+ * @param {object} [options]
+ * @param {Array} [options.args] - Arguments, bound as ARG1..ARGn / ARGC like CALL does.
+ * @param {object} [options.bindings] - Frame-local names visible to the script (like CALL's ARG1..).
+ * @param {object[]} [options.trace] - If given, receives one entry per executed line (see executeScript).
+ * @param {string} [options.scriptId] - Id of the saved script being run, so its compiled program is cached under it.
+ * @returns {{output: string, returnValue: *, errors: string[]}} - SAY output, the value given to RETURN (undefined if none),
+ *   and the messages of the errors shown inline in the output.
+ */
+export const runScript = (script, host, { args = null, bindings = {}, trace = null, scriptId = null } = {}) => {
+    const errors = [];
+    const result = executeScript(script, {
+        ...createFrame(script, host, args ? { ...argumentBindings(args), ...bindings } : bindings),
+        trace,
+        scriptId,
+        errors,
+    });
+    return { ...result, errors };
+};
+
+const createFrame = (source, host, bindings = {}) => ({
+    host,
+    depth: 0,
+    bindings,
+    random: host.createRandom?.(source) || Math.random,
+    trace: null,
+    scriptName: null,
+    scriptId: null,
+    errors: null,
+    budget: { iterations: 0 }, // Loop iterations so far; shared with CALLed scripts so the cap covers the whole run
+});
+
+/**
+ * Evaluates a single expression outside a script (e.g. for the /logic-eval slash command).
+ * @param {string} exprString - Expression text, e.g. `hp * 2 > 10`.
+ * @param {object} host - Engine host (see top of file).
+ * @returns {*} - The value (number, boolean or string).
+ */
+export const evaluateExpressionText = (exprString, host) =>
+    evaluateExpression(parseExpression(exprString), createFrame(exprString, host));
+
+/**
+ * Evaluates space-separated argument expressions, the way CALL does (`10 "fire" (hp - 5)`).
+ * @param {string} argsString - Argument text.
+ * @param {object} host - Engine host.
+ * @returns {Array} - One value per argument.
+ */
+export const evaluateArgumentList = (argsString, host) => {
+    const frame = createFrame(argsString, host);
+    return parseExpression(argsString, { sequence: true }).map(node => evaluateExpression(node, frame));
+};
+
+/**
+ * Parses and evaluates the Simple Logic script.
+ * @param {string} script - The raw script content from inside {{logic:: ... }}.
+ * @param {object} host - Engine host (see top of file).
+ * @param {object} [options] - As for runScript().
+ * @returns {string} - The output text (accumulated via SAY commands).
+ */
+export const evaluateLogic = (script, host, options) => runScript(script, host, options).output;
+
+// SAY text, SAYLN [text], SAYRAW text
+const sayCommandRegex = /^(SAYLN|SAYRAW|SAY)(?:\s|$)/;
+
+// SET [LOCAL|GLOBAL] target = value
+const setRegex = /^((?:[^=\s\[]|\[[^\]]*\])+)\s*=(?!=)\s*(.*)$/;
+
+const forEachRegex = /^FOR\s+EACH\s+([A-Za-z_]\w*)(?:\s*,\s*([A-Za-z_]\w*))?\s+IN\s+(.+)$/i;
+
+// Binds the loop variables of a FOR EACH frame to its current item
+const bindEachItem = (loop, frame) => {
+    if (!loop.each || loop.index > loop.count) return;
+    const [first, second] = loop.each.names;
+    // Entries are [item, index] for lists and [key, value] for maps
+    const [primary, secondary] = loop.each.entries[loop.index - 1];
+    frame.bindings[first] = primary;
+    if (second) frame.bindings[second] = secondary;
+};
+
+// --- COMPILED SCRIPTS ---
+
+// Lines with macros ({{char}}, <USER>) are substituted each time they run, so their expressions can differ between runs
+const macroLineRegex = /\{\{|<(?:USER|BOT|CHAR|CHARIFNOTGROUP|GROUP)>/i;
+
+const blockOpeners = ['if', 'repeat', 'while', 'for'];
+
+/**
+ * Which command a line is.
+ * @param {string} upperLine - Trimmed, upper-cased line.
+ * @returns {string|null} - Instruction kind, or null for lines the interpreter ignores.
+ */
+const classifyLine = (upperLine) => {
+    if (upperLine.startsWith("IF ")) return 'if';
+    if (upperLine.startsWith("ELSE IF ")) return 'elseIf';
+    if (upperLine.startsWith("ELSE")) return 'else';
+    if (upperLine.startsWith("REPEAT ")) return 'repeat';
+    if (upperLine.startsWith("WHILE ")) return 'while';
+    if (upperLine.startsWith("FOR ")) return 'for';
+    if (upperLine === "BREAK" || upperLine === "CONTINUE") return 'jump';
+    if (upperLine === "END") return 'end';
+    if (sayCommandRegex.test(upperLine)) return 'say';
+    if (upperLine.startsWith("SET ")) return 'set';
+    if (upperLine.startsWith('SETVAR ')) return 'setvar';
+    if (upperLine.startsWith('INC ') || upperLine.startsWith('DEC ')) return 'step';
+    if (upperLine.startsWith('PUSH ') || upperLine.startsWith('REMOVE ') || upperLine.startsWith('CLEAR ')) return 'list';
+    if (upperLine.startsWith('WI ')) return 'worldInfo';
+    if (upperLine.startsWith('INJECT ')) return 'inject';
+    if (/^(NOTE|NARRATE|TOAST|SEND)\s/.test(upperLine)) return 'output';
+    if (upperLine.startsWith('CALL ')) return 'call';
+    if (upperLine === 'RETURN' || upperLine.startsWith('RETURN ')) return 'return';
+    return null;
+};
+
+/**
+ * Prepares a script for executeScript(): drops blank lines, works out each line's command,
+ * and links every IF / ELSE IF / ELSE to the next branch or END of its block (loops to their END),
+ * so branches that aren't taken are jumped over instead of scanned.
+ * Block keywords must be written out; macros can't produce them.
+ * @param {string} script - Script text.
+ * @returns {{source: string, instructions: object[], expressions: Map}} - instructions are
+ *   `{ line, text, upper, kind, dynamic, next? }` (line is 1-based; dynamic lines contain macros);
+ *   expressions caches parsed expression text while the program is in use (see parseInFrame).
+ */
+export const compileScript = (script) => {
+    const instructions = [];
+    script.split(/\r?\n/).forEach((raw, index) => {
+        const text = raw.trim();
+        if (!text) return;
+        const upper = text.toUpperCase();
+        instructions.push({ line: index + 1, text, upper, kind: classifyLine(upper), dynamic: macroLineRegex.test(text) });
+    });
+
+    const open = []; // { kind, last: index of the opener or latest branch }
+    instructions.forEach((instruction, index) => {
+        const block = open[open.length - 1];
+        if (instruction.kind === 'end' && block) {
+            instructions[block.last].next = index;
+            open.pop();
+        } else if ((instruction.kind === 'elseIf' || instruction.kind === 'else') && block?.kind === 'if') {
+            instructions[block.last].next = index;
+            block.last = index;
+        }
+        if (blockOpeners.includes(instruction.kind)) open.push({ kind: instruction.kind, last: index });
+    });
+    // Unclosed blocks run to the end of the script
+    open.forEach(block => instructions[block.last].next = instructions.length);
+
+    return { source: script, instructions, expressions: new Map() };
+};
+
+const compiledScripts = new Map(); // script id (hashString(source) for unsaved text) -> program, oldest first
+const maxCompiledScripts = 200;
+const maxCachedExpressions = 500;
+
+/**
+ * The compiled program for a script, from the cache when the same text ran before. A saved script keeps one
+ * program: when its text changes, the new program replaces the old one.
+ * @param {string} script - Script text.
+ * @param {string|null} [id] - Saved script id, null for text that isn't a saved script.
+ * @returns {object} - See compileScript().
+ */
+export const getCompiledScript = (script, id = null) => {
+    const key = id ?? hashString(script);
+    const cached = compiledScripts.get(key);
+    if (cached?.source === script) return cached;
+
+    const program = compileScript(script);
+    compiledScripts.delete(key);
+    if (compiledScripts.size >= maxCompiledScripts) compiledScripts.delete(compiledScripts.keys().next().value);
+    compiledScripts.set(key, program);
+    return program;
+};
+
+/**
+ * Drops a saved script's compiled program, e.g. when it is edited or deleted.
+ * @param {string} id - Script id.
+ */
+export const forgetCompiledScript = (id) => {
+    compiledScripts.delete(id);
+};
+
+// parseExpression() through the running program's cache. Parse errors are cached too, and thrown again.
+// Lines with macros aren't cached: their text can be different on every run.
+const parseInFrame = (exprString, frame, options = {}) => {
+    const cache = frame?.expressions;
+    if (!cache || frame.dynamicLine) return parseExpression(exprString, options);
+
+    const key = options.sequence ? `sequence:${exprString}` : exprString;
+    let entry = cache.get(key);
+    if (!entry) {
+        try {
+            entry = { tree: parseExpression(exprString, options) };
+        } catch (e) {
+            entry = { error: e };
+        }
+        if (cache.size < maxCachedExpressions) cache.set(key, entry);
+    }
+    if (entry.error) throw entry.error;
+    return entry.tree;
+};
+
+/**
+ * Runs a script in a call frame.
+ * @param {string} script - The raw script content.
+ * @param {{host: object, depth: number, bindings: object, random: Function, trace?: object[], scriptName?: string, scriptId?: string, errors?: string[], budget: {iterations: number}}} frame - Engine host,
+ *   CALL nesting depth, frame-local names (ARG1..), random source, (for Test Runs) an array that receives one entry per executed line,
+ *   the saved script being run, if any, an array that receives the message of every inline error, and the loop iterations
+ *   used so far in the whole run.
+ * @returns {{output: string, returnValue: *}} - SAY output, and the value given to RETURN (undefined if none).
+ */
+const executeScript = (script, frame) => {
+    const { instructions, expressions } = getCompiledScript(script, frame.scriptId);
+    frame.expressions = expressions;
+    let outputBuffer = "";
+    let returnValue;
+
+    // Test Run tracing: each step records the state *after* its line, taken when the next step starts.
+    let currentStep = null;
+    const finishStep = () => {
+        if (!currentStep) return;
+        currentStep.output = outputBuffer;
+        currentStep.variables = frame.host.snapshotVariables?.() ?? null;
+        currentStep = null;
+    };
+    const noteStep = (note) => {
+        if (currentStep) currentStep.note = note;
+    };
+    
+    // State machine for execution
+    // ignore: true if we are in a branch (IF/ELSE) that wasn't taken; next: where that branch ends (see compileScript).
+    // Loop frames (type: 'loop') also remember where their body starts so END can jump back.
+    let executionStack = [{ ignore: false, metCondition: false }];
+    const { maxLoopIterations: maxIterations, saySeparator: separator } = getEngineSettings(frame.host);
+
+    // Script errors are shown inline in the output, and collected in frame.errors for callers that report them elsewhere
+    const reportError = (message) => {
+        frame.errors?.push(message);
+        outputBuffer += `[Error: ${message}]`;
+    };
+
+    // Expression errors are reported inline (like other script errors) instead of aborting the script.
+    const runSafely = (fn, fallback) => {
+        try {
+            return fn();
+        } catch (e) {
+            console.debug(`[SimpleLogic] ${e.message}`);
+            reportError(e.message);
+            return fallback;
+        }
+    };
+
+    // Unparsable conditions count as false.
+    const checkCondition = (conditionStr) => runSafely(() => evaluateCondition(conditionStr, frame), false);
+
+    for (let i = 0; i < instructions.length; i++) {
+        let currentScope = executionStack[executionStack.length - 1];
+
+        // Skipped branch: go straight to its ELSE / ELSE IF / END
+        if (currentScope.ignore && currentScope.next > i) {
+            i = currentScope.next;
+            if (i >= instructions.length) break;
+        }
+        const instruction = instructions[i];
+
+        // Expand macros ({{char}}, {{user}}, {{random}}, etc.) safely now; lines in skipped branches never get here,
+        // so their macros ({{setvar::...}}) don't run
+        let line = instruction.text;
+        let upperLine = instruction.upper;
+        let kind = instruction.kind;
+        frame.dynamicLine = instruction.dynamic;
+        if (instruction.dynamic) {
+            line = frame.host.substitute(instruction.text).trim();
+            upperLine = line.toUpperCase();
+            // A macro can produce a command, but not change the block structure
+            if (!blockOpeners.includes(kind) && kind !== 'elseIf' && kind !== 'else' && kind !== 'end') {
+                kind = classifyLine(upperLine);
+                if (blockOpeners.includes(kind) || kind === 'elseIf' || kind === 'else' || kind === 'end') kind = null;
+            }
+        }
+
+        if (frame.trace) {
+            finishStep();
+            // Skip ELSE / END bookkeeping inside blocks that are skipped entirely
+            const parentIgnoring = executionStack.length > 1 && executionStack[executionStack.length - 2].ignore;
+            if (!(currentScope.ignore && parentIgnoring)) {
+                currentStep = { script: frame.scriptName, depth: frame.depth, line: instruction.line, text: line, note: "" };
+                frame.trace.push(currentStep);
+            }
+        }
+
+        // CONTROL FLOW: IF
+        if (kind === 'if') {
+            // Nested IF
+            if (currentScope.ignore) {
+                 executionStack.push({ ignore: true, metCondition: true, next: instruction.next }); // Ignore everything inside
+                 continue;
+            }
+            
+            const result = checkCondition(line.substring(3).trim());
+            noteStep(result ? "true → entering branch" : "false → skipping branch");
+            executionStack.push({ ignore: !result, metCondition: result, next: instruction.next });
+        }
+        // CONTROL FLOW: ELSE IF
+        else if (kind === 'elseIf') {
+             // Pop logic is tricky for flat structures, usually ELSE IF is same level as IF.
+             // But strict structured programming implies it belongs to the previous IF chain.
+             // We treat the current top stack as the block to toggle.
+             
+             if (executionStack.length <= 1) { reportError("ELSE IF without IF"); continue; }
+             
+             const prevScope = executionStack[executionStack.length - 1];
+             const parentScope = executionStack[executionStack.length - 2];
+             if (prevScope.type === 'loop') { reportError("ELSE IF without IF"); continue; }
+             prevScope.next = instruction.next;
+             
+             // If parent is ignoring us, we continue ignoring
+             if (parentScope && parentScope.ignore) {
+                 prevScope.ignore = true;
+                 prevScope.metCondition = true;
+                 continue;
+             }
+
+             // If a previous branch was already met, we ignore this one
+             if (prevScope.metCondition) {
+                 prevScope.ignore = true;
+                 noteStep("skipped (an earlier branch was taken)");
+             } else {
+                 const result = checkCondition(line.substring(8).trim());
+                 noteStep(result ? "true → entering branch" : "false → skipping branch");
+                 prevScope.ignore = !result;
+                 if (result) prevScope.metCondition = true;
+             }
+        }
+        // CONTROL FLOW: ELSE
+        else if (kind === 'else') {
+             if (executionStack.length <= 1) { reportError("ELSE without IF"); continue; }
+             
+             const prevScope = executionStack[executionStack.length - 1];
+             const parentScope = executionStack[executionStack.length - 2];
+             if (prevScope.type === 'loop') { reportError("ELSE without IF"); continue; }
+             prevScope.next = instruction.next;
+
+             if (parentScope && parentScope.ignore) {
+                 prevScope.ignore = true;
+                 continue;
+             }
+
+             if (prevScope.metCondition) {
+                 prevScope.ignore = true;
+                 noteStep("skipped (an earlier branch was taken)");
+             } else {
+                 prevScope.ignore = false;
+                 prevScope.metCondition = true;
+                 noteStep("entering ELSE branch");
+             }
+        }
+        // CONTROL FLOW: REPEAT n [AS counter]
+        else if (kind === 'repeat') {
+            if (currentScope.ignore) {
+                executionStack.push({ ignore: true, metCondition: true, next: instruction.next });
+                continue;
+            }
+
+            let countStr = line.substring(7).trim();
+            const asMatch = countStr.match(/^(.*?)\s+AS\s+([A-Za-z_]\w*)$/i);
+            if (asMatch) countStr = asMatch[1];
+
+            const count = Math.floor(runSafely(() => toNumber(evaluateExpression(parseInFrame(countStr, frame), frame)), 0));
+            noteStep(`repeat ${Math.max(count, 0)} time(s)`);
+            const loop = { type: 'loop', ignore: count <= 0, metCondition: true, start: i, next: instruction.next, count, index: 1, counterName: asMatch ? asMatch[2] : null };
+            if (loop.counterName) frame.bindings[loop.counterName] = 1;
+            executionStack.push(loop);
+        }
+        // CONTROL FLOW: WHILE condition
+        else if (kind === 'while') {
+            if (currentScope.ignore) {
+                executionStack.push({ ignore: true, metCondition: true, next: instruction.next });
+                continue;
+            }
+
+            const result = checkCondition(line.substring(6).trim());
+            noteStep(result ? "true → entering loop" : "false → skipping loop");
+            executionStack.push({ type: 'loop', ignore: !result, metCondition: true, start: i, next: instruction.next, condition: instruction.text.substring(6), dynamic: instruction.dynamic });
+        }
+        // CONTROL FLOW: FOR EACH item [, second] IN list (second = index for lists; for maps the names are key, value)
+        else if (kind === 'for') {
+            if (currentScope.ignore) {
+                executionStack.push({ ignore: true, metCondition: true, next: instruction.next });
+                continue;
+            }
+
+            const forMatch = line.trim().match(forEachRegex);
+            const collection = forMatch ? runSafely(() => evaluateOperand(parseInFrame(forMatch[3], frame), frame), null) : null;
+            if (!forMatch) reportError("FOR needs the form FOR EACH item IN list");
+
+            let entries = [];
+            if (Array.isArray(collection)) entries = collection.map((item, index) => [item, index]);
+            else if (isContainer(collection)) entries = Object.entries(collection);
+            else if (collection !== null && collection !== "" && collection !== 0) reportError(`FOR EACH needs a list or map, not ${JSON.stringify(collection)}`);
+
+            noteStep(`for each over ${entries.length} item(s)`);
+            const loop = { type: 'loop', ignore: entries.length === 0, metCondition: true, start: i, next: instruction.next, count: entries.length, index: 1, each: { names: forMatch ? [forMatch[1], forMatch[2]] : [], entries } };
+            bindEachItem(loop, frame);
+            executionStack.push(loop);
+        }
+        // CONTROL FLOW: BREAK / CONTINUE (skip the rest of the innermost loop body)
+        else if (kind === 'jump') {
+            if (currentScope.ignore) continue;
+
+            let loopIndex = executionStack.length - 1;
+            while (loopIndex > 0 && executionStack[loopIndex].type !== 'loop') loopIndex--;
+            if (loopIndex === 0) { reportError(`${upperLine} outside of REPEAT/WHILE/FOR EACH`); continue; }
+
+            // Ignore everything up to the loop's END, including the rest of any enclosing IF chains
+            for (let k = loopIndex; k < executionStack.length; k++) {
+                executionStack[k].ignore = true;
+                executionStack[k].metCondition = true;
+            }
+            executionStack[loopIndex][upperLine === "BREAK" ? 'broken' : 'continued'] = true;
+        }
+        // CONTROL FLOW: END
+        else if (kind === 'end') {
+             if (executionStack.length > 1) {
+                 const closing = executionStack[executionStack.length - 1];
+                 const parentScope = executionStack[executionStack.length - 2];
+
+                 // Decide whether a live loop runs again
+                 let again = false;
+                 if (closing.type === 'loop' && !parentScope.ignore && !closing.broken && (!closing.ignore || closing.continued)) {
+                     if (closing.condition !== undefined) {
+                         // The WHILE line's macros, not the END line's, decide whether to substitute and cache
+                         frame.dynamicLine = closing.dynamic;
+                         again = checkCondition((closing.dynamic ? frame.host.substitute(closing.condition) : closing.condition).trim());
+                     } else {
+                         again = closing.index < closing.count;
+                     }
+
+                     if (again && ++frame.budget.iterations > maxIterations) {
+                         reportError(`Loop stopped after ${maxIterations} iterations (raise the limit in Simple Logic settings if this is intended)`);
+                         again = false;
+                     }
+                 }
+
+                 if (closing.type === 'loop') noteStep(again ? "loop again" : "loop finished");
+
+                 if (again) {
+                     closing.ignore = false;
+                     closing.continued = false;
+                     closing.index++;
+                     if (closing.counterName) frame.bindings[closing.counterName] = closing.index;
+                     bindEachItem(closing, frame);
+                     i = closing.start; // Resume at the first line of the body
+                 } else {
+                     executionStack.pop();
+                 }
+             }
+        }
+        // COMMAND: SAY / SAYLN / SAYRAW (text with ${expression} parts)
+        else if (kind === 'say') {
+            if (!currentScope.ignore) {
+                const command = upperLine.match(sayCommandRegex)[1];
+                const text = unquote(line.trim().substring(command.length).trim());
+                // A bare SAYLN ends the current line, replacing the previous SAY's separator
+                if (command === 'SAYLN' && !text && separator && outputBuffer.endsWith(separator)) outputBuffer = outputBuffer.slice(0, -separator.length);
+                outputBuffer += runSafely(() => interpolateText(text, frame), "");
+                if (command === 'SAYLN') outputBuffer += '\n';
+                else if (command === 'SAY') outputBuffer += separator;
+            }
+        }
+        // COMMAND: SET (Legacy/Simple)
+        else if (kind === 'set') {
+            if (!currentScope.ignore) {
+                // Syntax: SET [LOCAL|GLOBAL] varName = value (value may be an expression, e.g. hp - 10)
+                const { scope, rest } = splitScope(line.substring(4));
+                const match = rest.match(setRegex);
+                if (match) {
+                    runSafely(() => writeReference(resolveReference(match[1], scope, frame), evaluateAssignment(match[2].trim(), frame), frame));
+                }
+            }
+        }
+        // COMMAND: SETVAR (Explicit Typed)
+        else if (kind === 'setvar') {
+            if (!currentScope.ignore) {
+                const { scope, rest: content } = splitScope(line.substring(7));
+                const parts = splitReference(content);
+                
+                if (parts && parts.rest) {
+                    // Apply to SillyTavern Context
+                    runSafely(() => writeReference(resolveReference(parts.reference, scope, frame), evaluateAssignment(parts.rest, frame), frame));
+                }
+            }
+        }
+        // COMMAND: INC / DEC (Syntax: INC [LOCAL|GLOBAL] varName [amount])
+        else if (kind === 'step') {
+            if (!currentScope.ignore) {
+                const { scope, rest: content } = splitScope(line.substring(4));
+                const parts = splitReference(content);
+
+                if (parts) runSafely(() => {
+                    const ref = resolveReference(parts.reference, scope, frame);
+                    const amount = parts.rest ? toNumber(evaluateExpression(parseInFrame(parts.rest, frame), frame)) : 1;
+                    const current = toNumber(readReference(ref, frame) ?? 0);
+                    writeReference(ref, upperLine.startsWith('INC ') ? current + amount : current - amount, frame);
+                });
+            }
+        }
+        // COMMAND: PUSH / REMOVE / CLEAR (lists and maps)
+        else if (kind === 'list') {
+            if (!currentScope.ignore) {
+                const command = upperLine.split(' ')[0];
+                runSafely(() => executeListCommand(command, line.trim().substring(command.length), frame));
+            }
+        }
+        // COMMAND: WI ENABLE / DISABLE (lorebook entries)
+        else if (kind === 'worldInfo') {
+            if (!currentScope.ignore) runSafely(() => executeWorldInfoCommand(line, frame));
+        }
+        // COMMAND: INJECT (text into the prompt at a depth)
+        else if (kind === 'inject') {
+            if (!currentScope.ignore) runSafely(() => executeInject(line, frame));
+        }
+        // COMMAND: NOTE / NARRATE / TOAST / SEND AS
+        else if (kind === 'output') {
+            if (!currentScope.ignore) runSafely(() => executeOutputCommand(upperLine.split(/\s/)[0], line, frame));
+        }
+        // COMMAND: CALL (Run another saved script)
+        else if (kind === 'call') {
+            if (!currentScope.ignore) {
+                const calledOutput = runSafely(() => executeCall(line.substring(5), frame), "");
+                if (calledOutput) outputBuffer += calledOutput + separator;
+            }
+        }
+        // COMMAND: RETURN (Stop this script, optionally handing a value back to CALL ... INTO)
+        else if (kind === 'return') {
+            if (!currentScope.ignore) {
+                const valueStr = line.substring(6).trim();
+                if (valueStr) returnValue = runSafely(() => evaluateAssignment(valueStr, frame));
+                break;
+            }
+        }
+    }
+
+    finishStep();
+    // Leading spaces from SAYRAW are kept; the separator or newline after the last line is not
+    return { output: outputBuffer.trimEnd(), returnValue };
+};
+
+// --- SCRIPT LINTER ---
+
+// Every command the interpreter understands, for the linter's "unknown command" check.
+export const scriptCommands = ['IF', 'ELSE', 'END', 'REPEAT', 'WHILE', 'FOR', 'BREAK', 'CONTINUE', 'SAY', 'SAYLN', 'SAYRAW', 'SET', 'SETVAR', 'INC', 'DEC', 'PUSH', 'REMOVE', 'CLEAR', 'WI', 'INJECT', 'NOTE', 'NARRATE', 'TOAST', 'SEND', 'CALL', 'RETURN'];
+
+// Other words of the language, for the editor's highlighting and autocomplete
+export const languageKeywords = {
+    operators: ['AND', 'OR', 'NOT', 'CONTAINS', 'HAS', 'MATCHES', 'IN', 'EACH', 'LOCAL', 'GLOBAL', 'AS', 'INTO', 'ENABLE', 'DISABLE', 'DEPTH', 'ROLE', 'APPEND'],
+    functions: Object.keys(expressionFunctions),
+    values: ['TRUE', 'FALSE', 'RANDOM', 'ROLL', 'PICK', 'MESSAGE', 'WI_ACTIVE', ...chatAccessors],
+};
+
+// Names the interpreter binds by itself (CALL arguments, MATCHES captures)
+const isBuiltinBinding = (name) => /^(ARGC|ARG\d+|MATCH\d+|MATCH_\w+)$/.test(name);
+
+const editDistance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return row[b.length];
+};
+
+// Calls fn for every node in an expression tree
+const walkExpression = (node, fn) => {
+    if (!node || typeof node !== 'object' || node instanceof RegExp) return;
+    if (Array.isArray(node)) return node.forEach(child => walkExpression(child, fn));
+    if (node.type) fn(node);
+    Object.values(node).forEach(child => walkExpression(child, fn));
+};
+
+// True if the expression reads nothing from variables, the chat or randomness
+const isConstantExpression = (tree) => {
+    let constant = true;
+    walkExpression(tree, node => {
+        if (['variable', 'chat', 'random', 'dice', 'pick', 'worldInfo'].includes(node.type)) constant = false;
+    });
+    return constant;
+};
+
+/**
+ * Statically checks a Simple Logic script without running it.
+ * Reports unbalanced blocks, unknown commands, unparsable expressions,
+ * variables that are never set, and branches / lines that can never run.
+ * @param {string} script - Raw script text.
+ * @param {object} host - Engine host, to look up saved scripts and existing variables.
+ * @returns {{line: number, severity: 'error'|'warning', message: string}[]} - Sorted by line (1-based).
+ */
+export const lintScript = (script, host) => {
+    const diagnostics = [];
+    const report = (line, severity, message) => diagnostics.push({ line, severity, message });
+
+    const blocks = [{ type: 'root' }];
+    const assigned = new Set();
+    const reads = []; // { name, scope, line }
+
+    const parseAt = (lineNo, exprString, options) => {
+        try {
+            const tree = parseExpression(exprString, options);
+            walkExpression(tree, node => {
+                if (node.type === 'variable' && !node.macro) reads.push({ name: node.name, scope: node.scope, line: lineNo });
+            });
+            return tree;
+        } catch (e) {
+            report(lineNo, 'error', e.message);
+            return null;
+        }
+    };
+
+    // Like SET: text that isn't an expression is stored as-is, which is legal but often a typo
+    const parseValueAt = (lineNo, valueStr) => {
+        try {
+            parseExpression(valueStr);
+        } catch (e) {
+            report(lineNo, 'warning', `"${valueStr}" is not an expression, so it will be stored as plain text (${e.message.replace(/^Invalid expression "[^"]*": /, "")})`);
+            return;
+        }
+        parseAt(lineNo, valueStr);
+    };
+
+    // `party[0] = ...` and `stats.str = ...` also give `party` / `stats` a value
+    const assign = (nameStr) => {
+        const { rest } = splitScope(nameStr);
+        const name = rest.split('[')[0];
+        if (name) assigned.add(name);
+    };
+
+    // ${expressions} inside SAY / INJECT / NOTE ... text
+    const checkInterpolation = (lineNo, text) => {
+        try {
+            splitInterpolation(text).forEach(part => {
+                if (part.expression === undefined) return;
+                if (!part.expression.trim()) report(lineNo, 'error', "Empty ${} in text");
+                else parseAt(lineNo, part.expression);
+            });
+        } catch (e) {
+            report(lineNo, 'error', e.message);
+        }
+    };
+
+    // Bracket keys in a command's target are expressions too (`SET party[i] = ...`)
+    const checkReference = (lineNo, reference) => {
+        const reserved = reservedNameError(reference.split('[')[0].trim());
+        if (reserved) report(lineNo, 'error', reserved);
+        if (reference.includes('[')) parseAt(lineNo, reference);
+    };
+
+    // Flags the first statement after BREAK / CONTINUE / RETURN in the same block
+    const checkReachable = (lineNo) => {
+        const block = blocks[blocks.length - 1];
+        if (block.exitedBy && !block.reportedUnreachable) {
+            report(lineNo, 'warning', `Unreachable: this line comes after ${block.exitedBy} and never runs`);
+            block.reportedUnreachable = true;
+        }
+    };
+
+    // Reports constant conditions; returns true if the condition is always true
+    const checkConstantCondition = (lineNo, tree) => {
+        if (!tree || !isConstantExpression(tree)) return false;
+        let value;
+        try {
+            value = isTruthy(evaluateExpression(tree));
+        } catch (e) {
+            report(lineNo, 'error', e.message);
+            return false;
+        }
+        if (!value) report(lineNo, 'warning', "Condition is always false, so this block never runs");
+        return value;
+    };
+
+    script.split(/\r?\n/).forEach((rawLine, index) => {
+        const lineNo = index + 1;
+        const line = rawLine.trim();
+        if (!line) return;
+
+        const upper = line.toUpperCase();
+        const command = upper.split(/\s+/)[0];
+        const block = blocks[blocks.length - 1];
+
+        if (upper.startsWith("ELSE IF ") || command === "ELSE") {
+            if (block.type !== 'if') {
+                report(lineNo, 'error', `${upper.startsWith("ELSE IF ") ? "ELSE IF" : "ELSE"} without a matching IF`);
+                return;
+            }
+            if (block.hasElse) {
+                report(lineNo, 'warning', `Unreachable: this branch comes after ELSE on line ${block.hasElse} and never runs`);
+            } else if (block.alwaysTaken) {
+                report(lineNo, 'warning', `Unreachable: the condition on line ${block.alwaysTaken} is always true, so this branch never runs`);
+            }
+            block.exitedBy = null;
+            block.reportedUnreachable = false;
+
+            if (upper.startsWith("ELSE IF ")) {
+                const tree = parseAt(lineNo, line.substring(8).trim());
+                if (checkConstantCondition(lineNo, tree) && !block.alwaysTaken) block.alwaysTaken = lineNo;
+            } else {
+                if (upper !== "ELSE") report(lineNo, 'error', `Unexpected text after ELSE: "${line.substring(4).trim()}"`);
+                block.hasElse = block.hasElse || lineNo;
+            }
+            return;
+        }
+
+        if (command === "END") {
+            if (upper !== "END") report(lineNo, 'error', `Unexpected text after END: "${line.substring(3).trim()}"`);
+            if (blocks.length === 1) report(lineNo, 'error', "END without a matching IF, REPEAT, WHILE or FOR EACH");
+            else blocks.pop();
+            return;
+        }
+
+        checkReachable(lineNo);
+
+        switch (command) {
+            case "IF": {
+                const tree = parseAt(lineNo, line.substring(3).trim());
+                blocks.push({ type: 'if', line: lineNo, alwaysTaken: checkConstantCondition(lineNo, tree) ? lineNo : null });
+                break;
+            }
+            case "REPEAT": {
+                let countStr = line.substring(7).trim();
+                const asMatch = countStr.match(/^(.*?)\s+AS\s+([A-Za-z_]\w*)$/i);
+                if (asMatch) {
+                    countStr = asMatch[1];
+                    assigned.add(asMatch[2]);
+                }
+                if (!countStr) report(lineNo, 'error', "REPEAT needs a count, e.g. REPEAT 3");
+                else parseAt(lineNo, countStr);
+                blocks.push({ type: 'loop', line: lineNo, command });
+                break;
+            }
+            case "WHILE": {
+                checkConstantCondition(lineNo, parseAt(lineNo, line.substring(6).trim()));
+                blocks.push({ type: 'loop', line: lineNo, command });
+                break;
+            }
+            case "FOR": {
+                const match = line.match(forEachRegex);
+                if (!match) {
+                    report(lineNo, 'error', "FOR needs the form FOR EACH item IN list (or FOR EACH key, value IN map)");
+                } else {
+                    assigned.add(match[1]);
+                    if (match[2]) assigned.add(match[2]);
+                    parseAt(lineNo, match[3]);
+                }
+                blocks.push({ type: 'loop', line: lineNo, command: "FOR EACH" });
+                break;
+            }
+            case "BREAK":
+            case "CONTINUE":
+                if (upper !== command) report(lineNo, 'error', `Unexpected text after ${command}`);
+                if (!blocks.some(b => b.type === 'loop')) report(lineNo, 'error', `${command} outside of REPEAT/WHILE/FOR EACH`);
+                block.exitedBy = command;
+                break;
+            case "RETURN":
+                if (line.length > 6) parseValueAt(lineNo, line.substring(6).trim());
+                block.exitedBy = command;
+                break;
+            case "SAY":
+            case "SAYLN":
+            case "SAYRAW": {
+                const text = line.substring(command.length).trim();
+                if (!text && command !== "SAYLN") report(lineNo, 'warning', `${command} has no text`);
+                checkInterpolation(lineNo, text);
+                break;
+            }
+            case "SET": {
+                const { rest } = splitScope(line.substring(4));
+                const match = rest.match(setRegex);
+                if (!match) {
+                    report(lineNo, 'error', rest.includes("==")
+                        ? "SET uses a single = (SET name = value); == only compares inside IF"
+                        : "SET needs the form SET name = value");
+                    break;
+                }
+                assign(match[1]);
+                checkReference(lineNo, match[1]);
+                if (!match[2].trim()) report(lineNo, 'warning', `SET ${match[1]} has no value`);
+                else parseValueAt(lineNo, match[2].trim());
+                break;
+            }
+            case "SETVAR": {
+                const parts = splitReference(splitScope(line.substring(7)).rest);
+                if (!parts || !parts.rest) {
+                    report(lineNo, 'error', "SETVAR needs a name and a value, e.g. SETVAR gold 10");
+                    break;
+                }
+                assign(parts.reference);
+                checkReference(lineNo, parts.reference);
+                parseValueAt(lineNo, parts.rest);
+                break;
+            }
+            case "INC":
+            case "DEC": {
+                const parts = splitReference(splitScope(line.substring(4)).rest);
+                if (!parts) {
+                    report(lineNo, 'error', `${command} needs a variable name`);
+                    break;
+                }
+                assign(parts.reference);
+                checkReference(lineNo, parts.reference);
+                if (parts.rest) parseAt(lineNo, parts.rest);
+                break;
+            }
+            case "PUSH":
+            case "REMOVE":
+            case "CLEAR": {
+                const parts = splitReference(splitScope(line.substring(command.length)).rest);
+                if (!parts) {
+                    report(lineNo, 'error', `${command} needs a variable name, e.g. ${command} inventory${command === 'CLEAR' ? "" : ' "sword"'}`);
+                    break;
+                }
+                assign(parts.reference);
+                checkReference(lineNo, parts.reference);
+                if (command === 'CLEAR') {
+                    if (parts.rest) report(lineNo, 'error', `Unexpected text after CLEAR ${parts.reference}: "${parts.rest}"`);
+                } else if (parts.rest) {
+                    parseValueAt(lineNo, parts.rest);
+                } else if (command === 'PUSH') {
+                    report(lineNo, 'error', `PUSH needs a value, e.g. PUSH ${parts.reference} "sword"`);
+                } else if (!/[[.]/.test(parts.reference)) {
+                    report(lineNo, 'error', `REMOVE needs a value or an entry, e.g. REMOVE ${parts.reference} "sword" or REMOVE ${parts.reference}[0]`);
+                }
+                break;
+            }
+            case "WI": {
+                const match = line.match(worldInfoCommandRegex);
+                if (!match) {
+                    report(lineNo, 'error', 'WI needs the form WI ENABLE "entry" or WI DISABLE "entry" [IN "lorebook"]');
+                    break;
+                }
+                parseValueAt(lineNo, match[2]);
+                if (match[3]) parseValueAt(lineNo, match[3].trim());
+                break;
+            }
+            case "INJECT": {
+                const match = line.match(injectCommandRegex);
+                if (!match || !match[1]) {
+                    report(lineNo, 'error', 'INJECT needs text, e.g. INJECT "The castle is on fire." DEPTH 2 ROLE system');
+                    break;
+                }
+                if (match[2]) parseAt(lineNo, match[2]);
+                if (match[3] && !injectRoles.includes(match[3].toLowerCase())) {
+                    report(lineNo, 'error', `INJECT ROLE must be ${injectRoles.join(', ')} (not ${match[3]})`);
+                }
+                checkInterpolation(lineNo, match[1]);
+                break;
+            }
+            case "NOTE":
+            case "NARRATE":
+            case "TOAST":
+            case "SEND": {
+                const action = parseOutputCommand(line);
+                if (!action) {
+                    report(lineNo, 'error', outputCommandUsage[command]);
+                    break;
+                }
+                if (action.name) parseValueAt(lineNo, action.name);
+                checkInterpolation(lineNo, action.text);
+                break;
+            }
+            case "CALL": {
+                let callStr = line.substring(5);
+                const intoMatch = callStr.match(/\s+INTO\s+(.+)$/i);
+                if (intoMatch) {
+                    assign(intoMatch[1]);
+                    callStr = callStr.substring(0, intoMatch.index);
+                }
+                const nameMatch = callStr.trim().match(/^(?:"([^"]+)"|(\S+))\s*(.*)$/);
+                if (!nameMatch) {
+                    report(lineNo, 'error', "CALL needs a script name");
+                    break;
+                }
+                const scriptName = nameMatch[1] ?? nameMatch[2];
+                if (!host.getScript(scriptName)) report(lineNo, 'warning', `No saved script named "${scriptName}" (yet)`);
+                if (nameMatch[3]) parseAt(lineNo, nameMatch[3], { sequence: true });
+                break;
+            }
+            default: {
+                const word = line.split(/\s+/)[0];
+                if (/^(#|\/\/)/.test(word)) {
+                    report(lineNo, 'error', `Unknown command "${word}": scripts have no comment syntax; the line is ignored`);
+                    break;
+                }
+                const suggestion = scriptCommands.find(c => editDistance(command, c) <= Math.min(2, c.length - 1));
+                report(lineNo, 'error', `Unknown command "${word}"${suggestion ? ` (did you mean ${suggestion}?)` : ""}; the line is ignored`);
+            }
+        }
+    });
+
+    blocks.slice(1).forEach(block => {
+        report(block.line, 'error', `${block.type === 'if' ? "IF" : block.command} is never closed with END`);
+    });
+
+    // Variables read before they could ever have a value
+    const warned = new Set();
+    reads.forEach(({ name, scope, line }) => {
+        const key = `${scope}:${name}`;
+        const base = name.split('.')[0];
+        if (warned.has(key) || isBuiltinBinding(name) || assigned.has(name) || assigned.has(base)) return;
+        if (getVariable(host, name, scope) !== null || getVariable(host, base, scope) !== null) return;
+        warned.add(key);
+        report(line, 'warning', `Variable "${scope ? `${scope.toUpperCase()}.` : ""}${name}" is never set by this script and doesn't exist yet (reads as 0)`);
+    });
+
+    return diagnostics.sort((a, b) => a.line - b.line);
+};
+
+
+// --- HEADLESS HOST & SCRIPT TESTS ---
+
+/**
+ * Creates a host that keeps everything in memory: used for Test Runs, script test cases and Node.
+ * @param {object} [options]
+ * @param {{local?: object, global?: object}} [options.variables] - Starting variables (copied).
+ * @param {object[]} [options.chat] - Chat messages the script sees.
+ * @param {{user?: string, char?: string}} [options.names] - USER / CHAR.
+ * @param {(name: string) => object|null} [options.getScript] - Saved script lookup for CALL.
+ * @param {object} [options.settings] - Overrides for defaultEngineSettings.
+ * @param {(script: string) => Function} [options.createRandom] - Random source per run.
+ * @param {(text: string) => string} [options.substitute] - Macro expansion (none by default).
+ * @param {string[]} [options.worldInfo] - World Info entries (titles / keys) that count as active for WI_ACTIVE.
+ * @returns {object} - Host; its `variables` property is the live store, and `effects` lists what WI ENABLE / DISABLE,
+ *   INJECT and the output commands would have done ({ type: 'worldInfo', entry, enabled, book }, { type: 'inject', text, depth, role },
+ *   or the action given to output()).
+ */
+export const createMemoryHost = ({
+    variables = {},
+    chat = [],
+    names = {},
+    getScript = () => null,
+    settings = {},
+    createRandom = () => Math.random,
+    substitute = (text) => text,
+    worldInfo = [],
+} = {}) => {
+    const store = { local: structuredClone(variables.local || {}), global: structuredClone(variables.global || {}) };
+    const activeEntries = worldInfo.map(name => String(name).toLowerCase());
+    const effects = [];
+
+    return {
+        variables: store,
+        effects,
+        readVariable: (scope, name) => store[scope][name],
+        writeVariable: (scope, name, value) => {
+            store[scope][name] = value;
+            return true;
+        },
+        getChat: () => chat,
+        getNames: () => ({ user: names.user ?? "User", char: names.char ?? "Character" }),
+        substitute,
+        getScript,
+        createRandom,
+        getSettings: () => settings,
+        snapshotVariables: () => structuredClone(store),
+        isWorldInfoActive: (entry) => activeEntries.includes(entry.toLowerCase()),
+        setWorldInfoEnabled: (entry, enabled, book) => effects.push({ type: 'worldInfo', entry, enabled, book }),
+        inject: (text, { depth, role }) => effects.push({ type: 'inject', text, depth, role }),
+        output: (action) => effects.push(action),
+    };
+};
+
+/**
+ * Runs one test case attached to a saved script (script.tests[]).
+ * Test case shape (every field optional):
+ *   { name, message, speaker: 'user'|'char', chat: [...], names: { user, char },
+ *     variables: { global: {...}, local: {...} }, seed, worldInfo: ["Castle"] (active entries),
+ *     expectOutput: "exact SAY output", expectVariables: { global: { hp: 5, gone: null, bag: ["rope"] }, local: {...} } }
+ * `null` in expectVariables means "must be unset"; lists and maps are compared by content. Randomness is seeded from `seed` (or the test name),
+ * so dice and PICK give the same result on every run.
+ * @param {string} content - Script text under test.
+ * @param {object} testCase - Test case.
+ * @param {object} [options]
+ * @param {(name: string) => object|null} [options.getScript] - Saved script lookup for CALL.
+ * @param {object} [options.settings] - Engine settings.
+ * @param {object[]} [options.trace] - If given, receives the executed lines (see runScript).
+ * @returns {{name: string, passed: boolean, failures: string[], output: string, variables: object}}
+ */
+export const runTestCase = (content, testCase, { getScript, settings, trace = null } = {}) => {
+    const name = testCase.name || "(unnamed test)";
+    const chat = [...(testCase.chat || [])];
+    if (testCase.message) {
+        const isUser = testCase.speaker !== 'char';
+        chat.push({ name: isUser ? testCase.names?.user ?? "User" : testCase.names?.char ?? "Character", mes: testCase.message, is_user: isUser, is_system: false });
+    }
+
+    const seed = hashString(String(testCase.seed ?? name));
+    const host = createMemoryHost({
+        variables: testCase.variables,
+        chat,
+        names: testCase.names,
+        getScript,
+        settings,
+        createRandom: () => createSeededRandom(seed),
+        worldInfo: testCase.worldInfo,
+    });
+
+    let result;
+    try {
+        result = runScript(content, host, { trace });
+    } catch (e) {
+        return { name, passed: false, failures: [`Script crashed: ${e.message}`], output: "", variables: host.snapshotVariables() };
+    }
+
+    const failures = [];
+    if (testCase.expectOutput !== undefined && result.output !== String(testCase.expectOutput).trim()) {
+        failures.push(`Output was ${JSON.stringify(result.output)}, expected ${JSON.stringify(String(testCase.expectOutput).trim())}`);
+    }
+
+    for (const scope of variableScopes) {
+        for (const [varName, expected] of Object.entries(testCase.expectVariables?.[scope] || {})) {
+            const actual = readHostVariable(host, scope, varName);
+            const label = `${scope.toUpperCase()}.${varName}`;
+            if (expected === null) {
+                if (actual !== undefined) failures.push(`${label} was ${JSON.stringify(actual)}, expected it to be unset`);
+            } else if (actual === undefined) {
+                failures.push(`${label} was unset, expected ${JSON.stringify(expected)}`);
+            } else if (isContainer(expected) ? serializeValue(normalizeValue(actual)) !== serializeValue(expected) : String(actual) !== String(expected)) {
+                failures.push(`${label} was ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+            }
+        }
+    }
+
+    return { name, passed: failures.length === 0, failures, output: result.output, variables: host.snapshotVariables() };
+};
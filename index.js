@@ -1,5 +1,25 @@
 import { getContext, extension_settings } from "../../../extensions.js";
-import { saveSettingsDebounced, substituteParams } from "../../../../script.js";
+import {
+    saveSettingsDebounced, substituteParams, setExtensionPrompt, extension_prompt_types, extension_prompt_roles,
+    system_avatar, systemUserName, system_message_types,
+} from "../../../../script.js";
+import { getMessageTimeStamp } from "../../../RossAscends-mods.js";
+import { callGenericPopup, POPUP_TYPE, POPUP_RESULT } from "../../../popup.js";
+import { download, getFileText } from "../../../utils.js";
+import { loadWorldInfo, saveWorldInfo, reloadEditor, selected_world_info, world_names } from "../../../world-info.js";
+import { SlashCommandEnumValue } from "../../../slash-commands/SlashCommandEnumValue.js";
+import {
+    defaultEngineSettings, variableScopes, splitScope, hashString, createSeededRandom,
+    getVariable, setVariable, serializeValue, evaluateLogic, runScript, evaluateExpressionText, evaluateArgumentList,
+    lintScript, createMemoryHost, runTestCase, compileScript, getCompiledScript, forgetCompiledScript,
+} from "./engine.js";
+import { exportLibraryJson, exportSlogic, parseLibraryFile, mergeScripts, diffLines } from "./library.js";
+import { attachEditor } from "./editor.js";
+import { createNarratorMessage, createSendAsMessage } from "./messages.js";
+import {
+    maxRepairAttempts, suggestionSchemaText, refactorSchemaText, testSchemaText,
+    checkSuggestionReply, checkRefactorReply, checkTestReply, buildScriptPrompt, buildRepairPrompt,
+} from "./assistant.js";
 
 const extensionName = "Simple Logic";
 const extensionKey = "simple_logic";
@@ -10,591 +30,2247 @@ const extensionKey = "simple_logic";
  * Adds a {{logic::...}} macro to parse a simplified IF/ELSE syntax.
  */
 
-const getVariable = (varName) => {
+// --- SILLYTAVERN HOST ---
+
+// Helper to get from Obj or Map
+const readStorage = (storage, key) => {
+    if (!storage) return undefined;
+    if (typeof storage.get === 'function') return storage.get(key);
+    return storage[key];
+};
+
+// Helper to set to Obj or Map
+const writeStorage = (storage, key, val) => {
+    if (!storage) return false;
+    if (typeof storage.set === 'function') {
+        storage.set(key, val);
+        return true;
+    }
+    storage[key] = val;
+    return true;
+};
+
+// Helper to check Obj or Map (SillyTavern's variable stores have has/del)
+const hasStorage = (storage, key) => {
+    if (!storage) return false;
+    if (typeof storage.has === 'function') return Boolean(storage.has(key));
+    return Object.hasOwn(storage, key);
+};
+
+// Helper to remove from Obj or Map
+const deleteStorage = (storage, key) => {
+    if (!storage) return false;
+    if (typeof storage.del === 'function') storage.del(key);
+    else if (typeof storage.delete === 'function') storage.delete(key);
+    else delete storage[key];
+    return true;
+};
+
+// Returns the raw stored value; SillyTavern's own getters return "" for unknown names.
+const readStVariable = (scope, varName) => {
     const context = getContext();
     const vars = context.variables;
-    
-    // Helper to get from Obj or Map
-    const get = (storage, key) => {
-        if (!storage) return undefined;
-        if (typeof storage.get === 'function') return storage.get(key);
-        return storage[key];
-    };
+    let val;
 
-    if (vars) {
-        // 1. Global (Only)
-        let val = get(vars.global, varName);
-        if (val !== undefined) return normalizeValue(val);
-    }
-    
-    // 2. Fallbacks (Direct Global/Window access)
-    // Only check global_variables
-    if (typeof window !== 'undefined') {
-        if (window.global_variables) {
-            let val = window.global_variables[varName];
-             if (val !== undefined) return normalizeValue(val);
+    if (scope === 'local') {
+        val = vars && vars.local ? readStorage(vars.local, varName) : context.chatMetadata?.variables?.[varName];
+    } else {
+        if (vars) val = readStorage(vars.global, varName);
+        // Fallback (Direct Global/Window access)
+        if ((val === undefined || val === "") && typeof window !== 'undefined' && window.global_variables) {
+            val = window.global_variables[varName];
         }
     }
 
-    return null;
-};
-
-const normalizeValue = (val) => {
-    if (!isNaN(parseFloat(val)) && isFinite(val)) return parseFloat(val);
-    if (val === "true") return true; 
-    if (val === "false") return false;
     return val;
-}
+};
 
-const setVariable = (varName, value) => {
+const writeStVariable = (scope, varName, valStr) => {
     const context = getContext();
     const vars = context.variables;
-    const valStr = value.toString();
-
     let setSuccess = false;
 
-    // Helper to set to Obj or Map
-    const set = (storage, key, val) => {
-        if (!storage) return false;
-        if (typeof storage.set === 'function') {
-            storage.set(key, val);
-            return true;
+    if (scope === 'local') {
+        if (vars && vars.local) {
+            // SillyTavern's local setter saves the chat metadata itself
+            setSuccess = writeStorage(vars.local, varName, valStr);
+        } else if (context.chatMetadata) {
+            if (!context.chatMetadata.variables) context.chatMetadata.variables = {};
+            context.chatMetadata.variables[varName] = valStr;
+            context.saveMetadataDebounced?.();
+            setSuccess = true;
+        }
+    } else {
+        if (vars && vars.global) {
+            setSuccess = writeStorage(vars.global, varName, valStr);
         }
-        storage[key] = val;
-        return true;
-    };
 
-    if (vars) {
-        // 1. Force Global
-        if (vars.global) {
-             set(vars.global, varName, valStr);
-             setSuccess = true;
+        // Fallback Writing (ensure persistence)
+        if (!setSuccess && typeof window !== 'undefined' && window.global_variables) {
+            window.global_variables[varName] = valStr;
+            setSuccess = true;
         }
+
+        if (setSuccess) saveSettingsDebounced();
+    }
+
+    return setSuccess;
+};
+
+// Where a variable is stored, the same way writeStVariable picks it
+const getStVariableStore = (scope) => {
+    const context = getContext();
+    const vars = context.variables;
+    if (scope === 'local') return vars && vars.local ? vars.local : context.chatMetadata?.variables;
+    if (vars && vars.global) return vars.global;
+    return typeof window !== 'undefined' ? window.global_variables : undefined;
+};
+
+const hasStVariable = (scope, varName) => hasStorage(getStVariableStore(scope), varName);
+
+const deleteStVariable = (scope, varName) => {
+    const store = getStVariableStore(scope);
+    if (!hasStorage(store, varName)) return false;
+    deleteStorage(store, varName);
+    if (scope === 'local') getContext().saveMetadataDebounced?.();
+    else saveSettingsDebounced();
+    return true;
+};
+
+// Engine host for the live chat (see the top of engine.js)
+const sillyTavernHost = {
+    readVariable: readStVariable,
+    writeVariable: (scope, varName, valStr) => {
+        // undefined: the variable didn't exist, so undoing the change deletes it
+        const before = hasStVariable(scope, varName) ? readStVariable(scope, varName) : undefined;
+        const ok = writeStVariable(scope, varName, valStr);
+        if (ok) recordVariableChange(scope, varName, before, valStr);
+        return ok;
+    },
+    getChat: () => getContext().chat || [],
+    getNames: () => {
+        const context = getContext();
+        return { user: context.name1 ?? "", char: context.name2 ?? "" };
+    },
+    substitute: (text) => substituteParams(text),
+    getScript: (name) => getSavedScript(name),
+    createRandom: (script) => createRandomSource(script),
+    getSettings: () => extension_settings[extensionKey],
+    isWorldInfoActive: (entry) => activatedWorldInfo.some(e => worldInfoEntryNames(e).includes(entry.toLowerCase())),
+    setWorldInfoEnabled: (entry, enabled, book) => toggleWorldInfo(entry, enabled, book),
+    inject: (text, { depth, role }) => injectPrompt(text, depth, role),
+    output: (action) => queueOutput(action),
+};
+
+// --- RANDOMNESS ---
+
+/**
+ * Picks the random source for a script run.
+ * In seeded mode the seed is chat id + turn (index of the last user message, so swipes and regenerations
+ * of the reply keep it) + the chat's reroll counter + the script text. The same script therefore rolls
+ * the same results every time the prompt is rebuilt for a turn, until the user clicks Reroll.
+ * @param {string} script - The script being run.
+ * @returns {() => number} - Random function returning 0.0 to 1.0.
+ */
+const createRandomSource = (script) => {
+    if (!extension_settings[extensionKey]?.seededRandom) return Math.random;
+
+    const context = getContext();
+    const chat = context.chat || [];
+    const chatId = context.getCurrentChatId?.() ?? context.chatId ?? "";
+    const turn = chat.findLastIndex(m => m.is_user);
+    const nonce = context.chatMetadata?.[rerollMetadataKey] ?? 0;
+
+    return createSeededRandom(hashString(`${chatId}|${turn}|${nonce}|${script}`));
+};
+
+const rerollMetadataKey = 'simple_logic_reroll';
+
+// Bumps the current chat's reroll counter so seeded scripts roll fresh results for this turn
+const rerollSeed = () => {
+    const context = getContext();
+    if (!context.chatMetadata) return;
+    context.chatMetadata[rerollMetadataKey] = (context.chatMetadata[rerollMetadataKey] ?? 0) + 1;
+    context.saveMetadataDebounced?.();
+};
+
+const createSandboxHost = ({ variables, chat, expandMacros }) => createMemoryHost({
+    variables,
+    chat,
+    names: sillyTavernHost.getNames(),
+    getScript: getSavedScript,
+    settings: extension_settings[extensionKey],
+    createRandom: createRandomSource,
+    substitute: expandMacros ? substituteParams : undefined,
+    worldInfo: activatedWorldInfo.flatMap(worldInfoEntryNames),
+});
+
+/**
+ * Times a script in the sandbox: compiling it, then running the compiled program repeatedly.
+ * @param {string} script - Script text.
+ * @param {object} options - As for runSandboxed.
+ * @param {number} [runs=100] - How many times to run it.
+ * @returns {{compileMs: number, runMs: number, runs: number}} - runMs is the average per run.
+ */
+const benchmarkSandboxed = (script, options, runs = 100) => {
+    const host = createSandboxHost(options);
+    let start = performance.now();
+    compileScript(script);
+    const compileMs = performance.now() - start;
+    getCompiledScript(script);
+
+    start = performance.now();
+    for (let i = 0; i < runs; i++) runScript(script, host);
+    return { compileMs, runMs: (performance.now() - start) / runs, runs };
+};
+
+/**
+ * Runs a script against a throwaway copy of the variables (nothing real is changed) and records every step.
+ * @param {string} script - Script text.
+ * @param {object} options
+ * @param {{local: object, global: object}} options.variables - Starting variables (copied, not modified).
+ * @param {object[]} options.chat - Chat messages the script sees (LAST_MESSAGE etc.).
+ * @param {boolean} [options.expandMacros=true] - Run lines through SillyTavern's macro substitution.
+ * @returns {{output: string, steps: object[], before: object, after: object, effects: object[]}} - effects: the World Info
+ *   toggles and prompt injections the script would have made (see createMemoryHost).
+ */
+const runSandboxed = (script, { variables, chat, expandMacros = true }) => {
+    const host = createSandboxHost({ variables, chat, expandMacros });
+    const steps = [];
+    const result = runScript(script, host, { trace: steps });
+    return { output: result.output, steps, before: structuredClone(variables), after: host.snapshotVariables(), effects: host.effects };
+};
+
+const defaultSettings = {
+    scripts: [],
+    ...defaultEngineSettings,
+    seededRandom: false, // Derive RANDOM / dice / PICK from chat + turn so swipes and prompt rebuilds roll the same
+    eventTriggers: true, // Master switch for scripts that run on chat events (see EVENT TRIGGERS)
+    journalVariables: true, // Undo a message's variable changes when it is swiped away or deleted (see VARIABLE JOURNAL)
+    installedCardBundles: {}, // Character avatar -> hash of the card scripts already installed from it
+    listSort: 'manual', // Script list order: 'manual' (drag to reorder), 'name', 'nameDesc' or 'updated'
+    collapsedFolders: [],
+    revisions: {}, // Script id -> earlier versions [{ time, name, content }], oldest first (see REVISIONS & TRASH)
+    trash: [], // Deleted scripts [{ deleted, script, revisions }]
+};
+
+function loadSettings() {
+    if (!extension_settings[extensionKey]) {
+        extension_settings[extensionKey] = structuredClone(defaultSettings);
     }
 
-    // 3. Fallback Writing (ensure persistence)
-    if (!setSuccess && typeof window !== 'undefined') {
-         if (window.global_variables) {
-             window.global_variables[varName] = valStr;
-             setSuccess = true;
-         }
+    // Fill in options added by newer versions
+    const settings = extension_settings[extensionKey];
+    for (const [key, value] of Object.entries(defaultSettings)) {
+        if (settings[key] === undefined) settings[key] = structuredClone(value);
     }
+    ensureScriptIds(settings.scripts);
+}
 
-    if (setSuccess) {
-        console.debug(`[SimpleLogic] SETVAR "${varName}" = "${valStr}"`);
-        saveSettingsDebounced();
-    } else {
-        console.warn(`[SimpleLogic] SETVAR Failed for "${varName}" - No storage found!`);
+// --- SCRIPT SCOPES ---
+
+// script.scope is 'global' (default when missing), 'character' (script.owner = avatar file) or 'chat' (script.owner = chat id).
+// script.ownerName is the character name / chat id, for display and `alice/...` namespaces.
+// Unqualified names resolve from the most specific scope to the least.
+const scriptScopeOrder = ['chat', 'character', 'global'];
+
+const getScriptScope = (script) => script.scope || 'global';
+
+// The character and chat that bound scripts are matched against (null when none is open)
+function getCurrentOwners() {
+    const context = getContext();
+    const character = context.characterId !== undefined && !context.groupId ? context.characters?.[context.characterId] : null;
+    return {
+        character: character?.avatar ?? null,
+        characterName: character?.name ?? null,
+        chat: context.getCurrentChatId?.() ?? context.chatId ?? null,
+    };
+}
+
+function scriptAppliesHere(script, owners = getCurrentOwners()) {
+    const scope = getScriptScope(script);
+    return scope === 'global' || (owners[scope] !== null && script.owner === owners[scope]);
+}
+
+// Namespaces: `global/x`, `chat/x` (this chat), `char/x` (this character) or `<character name>/x` (any chat)
+function matchesNamespace(script, namespace, owners) {
+    const scope = getScriptScope(script);
+    if (namespace === 'global' || namespace === 'chat') return scope === namespace && scriptAppliesHere(script, owners);
+    if (namespace === 'char') return scope === 'character' && owners.character !== null && script.owner === owners.character;
+    return scope === 'character' && (script.ownerName || '').toLowerCase() === namespace;
+}
+
+/**
+ * Finds the saved script a name refers to in the current chat.
+ * @param {string} name - `combat_check` (chat, then character, then global) or `namespace/combat_check`.
+ * @returns {object|null} - The script, or null.
+ */
+function getSavedScript(name) {
+    const settings = extension_settings[extensionKey];
+    if (!settings || !settings.scripts) return null;
+    const owners = getCurrentOwners();
+
+    const slash = name.indexOf('/');
+    if (slash !== -1) {
+        const namespace = name.substring(0, slash).trim().toLowerCase();
+        const scriptName = name.substring(slash + 1).trim();
+        return settings.scripts.find(s => s.name === scriptName && matchesNamespace(s, namespace, owners)) || null;
     }
-};
+
+    for (const scope of scriptScopeOrder) {
+        const found = settings.scripts.find(s => s.name === name && getScriptScope(s) === scope && scriptAppliesHere(s, owners));
+        if (found) return found;
+    }
+    return null;
+}
+
+// "Bound to Alice" etc., for the list and editor
+function describeScriptScope(script) {
+    const scope = getScriptScope(script);
+    if (scope === 'character') return `Bound to character ${script.ownerName || script.owner}`;
+    if (scope === 'chat') return `Bound to chat ${script.ownerName || script.owner}`;
+    return 'Global (all chats)';
+}
+
+/**
+ * Resolves a macro / slash command argument to script text.
+ * A single line naming a saved script runs that script; anything else is treated as raw code.
+ * @param {string} text - Script name or content.
+ * @returns {{content: string, saved: object|null}} - Script content, and the saved script it came from.
+ */
+function resolveScriptArgument(text) {
+    // If it has newlines, it's definitely raw code. If it's a single word, it might be a script name.
+    if (text.includes('\n')) return { content: text, saved: null };
+
+    const scriptName = text.trim();
+    const saved = getSavedScript(scriptName);
+    if (saved) {
+        console.log(`[Simple Logic] Found saved script '${scriptName}'`);
+        return { content: saved.content, saved };
+    }
+    console.log(`[Simple Logic] No script found named '${scriptName}', assuming raw code.`);
+    return { content: text, saved: null };
+}
+
+// --- SCRIPT TIMINGS ---
+
+// Run times of saved scripts this session (macros, /logic-run and triggers), shown in the script list.
+// Time spent in CALLed scripts counts toward the caller.
+const scriptTimings = new Map(); // script id -> { runs, total, last } (ms)
+const staleTimingLabels = new Set();
+let timingLabelTimer = null;
+
+const formatDuration = (ms) => ms < 1 ? `${Math.round(ms * 1000)} µs` : `${ms.toFixed(1)} ms`;
 
 /**
- * Parses and evaluates the Simple Logic script.
- * @param {string} script - The raw script content from inside {{logic:: ... }}.
- * @returns {string} - The output text (accumulated via SAY commands).
+ * Runs a saved script and records how long it took.
+ * @param {object|null} script - Saved script (raw code isn't timed).
+ * @param {Function} run - Runs it; its result is returned.
  */
-const evaluateLogic = (script) => {
-    const lines = script.split(/\r?\n/).map(l => l.trim()).filter(l => l.length > 0);
-    let outputBuffer = "";
+function timeScriptRun(script, run) {
+    if (!script?.id) return run();
+    const start = performance.now();
+    try {
+        return run();
+    } finally {
+        const elapsed = performance.now() - start;
+        const timing = scriptTimings.get(script.id) ?? { runs: 0, total: 0, last: 0 };
+        timing.runs++;
+        timing.total += elapsed;
+        timing.last = elapsed;
+        scriptTimings.set(script.id, timing);
+
+        // A prompt build can run many scripts; update the list once afterwards
+        staleTimingLabels.add(script.id);
+        timingLabelTimer ??= setTimeout(refreshTimingLabels, 500);
+    }
+}
+
+function renderTimingLabel(label, id) {
+    const timing = scriptTimings.get(id);
+    label.text(timing ? formatDuration(timing.total / timing.runs) : "")
+        .attr('title', timing ? `Average run time over ${timing.runs} run(s) this session, including scripts it CALLs (last run: ${formatDuration(timing.last)})` : null);
+}
+
+function refreshTimingLabels() {
+    timingLabelTimer = null;
+    staleTimingLabels.forEach(id => renderTimingLabel($(`#simple-logic-list .simple-logic-timing[data-id="${id}"]`), id));
+    staleTimingLabels.clear();
+}
+
+// --- AI ANALYSIS HELPERS ---
+
+async function generateAnalysis() {
+    // 1. Get Params
+    const profileId = $('#simple-logic-ai-profile').val();
+    const depth = parseInt($('#simple-logic-ai-depth').val()) || 15;
+    const source = $('#simple-logic-ai-source').val() || 'all';
+    const mode = $('#simple-logic-ai-mode').val() || 'script';
+
+    const context = getContext();
+    const service = context.ConnectionManagerRequestService;
+
+    if (!service) return toastr.error("Connection Manager not found. Update SillyTavern.");
+    if (!profileId) return toastr.error("Select a Connection Profile first.");
+    if (scriptAiModes.includes(mode)) return analyzeEditorScript(profileId, mode);
+
+    $('#simple-logic-ai-result').html("<i>Generating analysis... please wait...</i>").show();
+
+    // 2. Build History
+    let chat = context.chat || [];
+    if (source === 'user') chat = chat.filter(m => m.is_user);
+    if (source === 'char') chat = chat.filter(m => !m.is_user);
+
+    const history = chat.slice(-depth).map(msg => {
+        return `${msg.is_user ? 'User' : (msg.name || 'Char')}: ${msg.mes}`;
+    }).join("\n");
+
+    // 3. Construct System Prompt
+    let instructions = "";
+    if (mode === 'script') {
+        instructions = `Then, create 3 unique "Simple Logic" Scripts to introduce randomness or events.
+    
+    The Script Format is:
+    IF RANDOM < 0.3
+      SAY "Something unexpected happens."
+      SETVAR something "true"
+    ELSE
+      SAY "Things remain calm."
+    END
+    
+    Use the keyword LAST_MESSAGE to check the last text effectively (e.g. IF LAST_MESSAGE CONTAINS "fight").`;
+    } 
+    else if (mode === 'keywords') {
+        instructions = `Often, simple keyword checks are safer than random events. 
+        Suggest 5 specific keywords or phrases found in the text that would be good triggers.
+        Return each one as a complete script, like: IF LAST_MESSAGE CONTAINS "sword" / SAY "..." / END (one command per line)`;
+    }
+    else {
+        instructions = `Analyze the roleplay dynamic. Suggest what kind of Logic Scripts (Random events, state tracking) would improve it. 
+        Return each suggestion as a short example script in the code field.`;
+    }
+
+    const prompt = `Analyze the following Roleplay Chat history (Last ${depth} messages). 
+    Identify the current narrative tone and logical next steps. 
+    ${instructions}
+    
+    Output ONLY a JSON object with this structure:
+    ${suggestionSchemaText}
     
-    // State machine for execution
-    // ignoringBlock: true if we are in a branch (IF/ELSE) that wasn't taken.
-    let executionStack = [{ ignore: false, metCondition: false }];
+    Chat History:
+    ${history}`;
 
-    // Tokenizer regex
-    // Matches: Strings "...", Keywords, Operators, or Identifiers
-    const tokenRegex = /"([^"]*)"|([=><!]+)|(\w+)|(-?\d+(\.\d+)?)/g;
+    // 4. Send Request, then ask the model to fix invalid JSON or scripts with syntax errors
+    try {
+        const messages = [{ role: 'user', content: prompt }];
+        const result = await requestCheckedReply(profileId, messages, (reply) => checkSuggestionReply(reply, sillyTavernHost), suggestionSchemaText, 600);
+        displayAnalysisResults(result.data);
+    } catch (e) {
+        console.error(e);
+        $('#simple-logic-ai-result').text("Error: " + e.message);
+    }
+}
 
-    const parseExpression = (exprString) => {
-        // Very basic expression parser: Left OP Right
-        // Support: age > 18, name == "Bob"
-        
-        // Remove "IF " or "ELSE IF " if present at start (though typically caller handles this)
-        // clean up
-        const parts = exprString.match(/"([^"]*)"|([=><!]+)|(\S+)/g); 
-        
-        if (!parts) {
-            console.debug(`[SimpleLogic] Failed to parse expr: "${exprString}"`);
-            return false;
-        }
+// Handle stream or text
+function readReplyText(response) {
+    if (typeof response === 'string') return response;
+    return response?.content || "";
+}
 
-        let leftVal, op, rightVal;
-        
-        // Handle Missing LHS (e.g. " < 12" -> 0 < 12)
-        // This commonly happens if a variable macro resolves to empty string.
-        if (parts.length === 2 && /^[=><!]+$/.test(parts[0])) {
-            leftVal = 0;
-            op = parts[0];
-            rightVal = parts[1];
-            console.debug(`[SimpleLogic] Missing LHS. Defaulting to 0. Expr: "0 ${op} ${rightVal}"`);
-        } else if (parts.length >= 3) {
-            leftVal = parts[0];
-            op = parts[1];
-            rightVal = parts[2];
+/**
+ * Sends a request and re-prompts the model with whatever `check` finds wrong, up to maxRepairAttempts times.
+ * @param {string} profileId - Connection profile.
+ * @param {object[]} messages - Conversation so far; the replies and repair prompts are appended.
+ * @param {(reply: string) => {data: object|null, problems: string[]}} check - One of the check...Reply() functions.
+ * @param {string} schemaText - Reply structure, repeated in the repair prompt.
+ * @param {number} maxTokens - Reply length limit.
+ * @returns {Promise<{data: object, problems: string[]}>} - The last result; problems may remain if the retries ran out.
+ */
+async function requestCheckedReply(profileId, messages, check, schemaText, maxTokens) {
+    const service = getContext().ConnectionManagerRequestService;
+    let result;
+    for (let attempt = 0; ; attempt++) {
+        const replyText = readReplyText(await service.sendRequest(profileId, messages, maxTokens));
+        result = check(replyText);
+        if (result.problems.length === 0 || attempt === maxRepairAttempts) break;
+
+        $('#simple-logic-ai-result').text(`Fixing ${result.problems.length} problem(s) in the reply (attempt ${attempt + 1} of ${maxRepairAttempts})...`);
+        messages.push({ role: 'assistant', content: replyText }, { role: 'user', content: buildRepairPrompt(result.problems, schemaText) });
+    }
+
+    if (!result.data) throw new Error(result.problems.join('; '));
+    return result;
+}
+
+// Modes that work on the script in the editor instead of the chat
+const scriptAiModes = ['explain', 'refactor', 'tests'];
+
+async function analyzeEditorScript(profileId, mode) {
+    const script = { name: $('#simple-logic-name').val().trim(), content: ($('#simple-logic-content').val() || "").trim() };
+    if (!script.content) return toastr.warning("Open or write a script in the editor first");
+
+    const container = $('#simple-logic-ai-result');
+    container.html("<i>Asking the model about the script... please wait...</i>").show();
+
+    const messages = [{ role: 'user', content: buildScriptPrompt(mode, script) }];
+    const testOptions = { getScript: getSavedScript, settings: extension_settings[extensionKey] };
+    try {
+        if (mode === 'explain') {
+            const text = readReplyText(await getContext().ConnectionManagerRequestService.sendRequest(profileId, messages, 600)).trim();
+            if (!text) throw new Error("The model sent an empty reply");
+            container.empty().append($('<div style="white-space: pre-wrap;"></div>').text(text));
+        } else if (mode === 'refactor') {
+            let tests = [];
+            try {
+                tests = readTestCases();
+            } catch (e) {
+                toastr.warning(`${e.message}. Checking the new version without them.`);
+            }
+            const check = (reply) => checkRefactorReply(reply, script.content, { host: sillyTavernHost, tests, ...testOptions });
+            const result = await requestCheckedReply(profileId, messages, check, refactorSchemaText, 1500);
+            displayRefactoring(script.content, result);
         } else {
-            console.debug(`[SimpleLogic] Invalid part count: ${parts.length}`);
-            return false;
+            const result = await requestCheckedReply(profileId, messages, (reply) => checkTestReply(reply, script.content, testOptions), testSchemaText, 1500);
+            displayTestScenarios(result.data);
         }
+    } catch (e) {
+        console.error(e);
+        container.text("Error: " + e.message);
+    }
+}
 
-        // Helper to resolve value (Variable or Literal)
-        const resolve = (val) => {
-            if (typeof val === 'number') return val;
-            if (typeof val !== 'string') return val;
+// Problems the model didn't fix before the retries ran out
+function renderRemainingProblems(container, problems) {
+    problems.forEach(p => {
+        $('<div style="font-size: 0.85em; color: var(--fullred, #e55);"></div>').text(p).appendTo(container);
+    });
+}
 
-            if (val.startsWith('"') && val.endsWith('"')) return val.slice(1, -1); // String literal
-            if (!isNaN(parseFloat(val))) return parseFloat(val); // Number literal
-            if (val.toLowerCase() === "true") return true;
-            if (val.toLowerCase() === "false") return false;
-            if (val.toUpperCase() === "RANDOM") return Math.random(); // 0.0 to 1.0
-            
-            // Cleanup Syntax: {{getvar::varName}} or {{varName}} -> varName
-            let cleanVal = val;
-            // Note: If ST already resolved {{getvar::...}} to "", this loop receives "" which resolve() treats as variable logic likely fails or becomes 0.
-            if (cleanVal.startsWith("{{")) {
-                cleanVal = cleanVal.replace(/^{{\s*(getvar::)?/, "").replace(/}}$/, "").trim();
-            }
+/**
+ * Shows a refactored script as a diff against the editor version, with a button to load it into the editor.
+ * @param {string} original - The script that was sent.
+ * @param {{data: {summary: string, code: string}, problems: string[]}} result - From checkRefactorReply().
+ */
+function displayRefactoring(original, { data, problems }) {
+    const container = $('#simple-logic-ai-result');
+    container.empty();
 
-            // Assume variable
-            const lookedUp = getVariable(cleanVal);
-            console.debug(`[SimpleLogic] Resolve "${val}" -> Var "${cleanVal}" -> Value:`, lookedUp);
-            return lookedUp === null || lookedUp === undefined ? 0 : lookedUp; 
-        };
+    container.append($('<div></div>').append('<b>Changes:</b> ').append(document.createTextNode(data.summary)));
+    renderRemainingProblems(container, problems);
+
+    const rows = diffLines(original, data.code);
+    if (rows.every(r => r.type === 'same')) return container.append($('<div></div>').text("(no changes)"));
+    container.append(renderDiffTable(rows));
+
+    $('<div class="menu_button menu_button_icon" title="Replace the editor contents with the new version"><i class="fa-solid fa-paste"></i> Use</div>')
+        .on('click', () => {
+            $('#simple-logic-content').val(data.code);
+            scriptEditor?.refresh();
+            renderDiagnostics();
+            toastr.info("New version copied to editor. Click Save to keep it (the old one stays in the history).");
+        })
+        .appendTo(container);
+}
 
-        const v1 = resolve(leftVal);
-        const v2 = resolve(rightVal);
-
-        console.debug(`[SimpleLogic] Compare: ${v1} ${op} ${v2}`);
-
-        switch (op) {
-            case '>': return v1 > v2;
-            case '<': return v1 < v2;
-            case '>=': return v1 >= v2;
-            case '<=': return v1 <= v2;
-            case '==': return v1 == v2; // loose equality matches JS behavior
-            case '=': return v1 == v2; // forgiving assignment-as-equality
-            case '!=': return v1 != v2;
-            case 'CONTAINS': 
-            case 'HAS':
-                return String(v1).toLowerCase().includes(String(v2).toLowerCase());
-            default: return false;
-        }
-    };
+/**
+ * Lists generated test scenarios with what the script does in each, and adds the ticked ones to the test cases.
+ * @param {{tests: {testCase: object, result: object}[], uncovered: {line: number, text: string}[]}} data - From checkTestReply().
+ */
+function displayTestScenarios(data) {
+    const container = $('#simple-logic-ai-result');
+    container.empty();
 
-    for (let i = 0; i < lines.length; i++) {
-        let rawLine = lines[i];
-        let upperLine = rawLine.trim().toUpperCase();
-        let currentScope = executionStack[executionStack.length - 1];
-
-        // Optimization: In ignored blocks, skip macro substitution unless we need to check control flow.
-        // We only strictly need IF/ELSE/END to maintain stack integrity.
-        // We do NOT want to execute macros ({{setvar::...}}) inside ignored blocks.
-        if (currentScope.ignore) {
-            // Check for control flow keywords in the raw line
-            // This assumes keywords are not dynamically generated by macros.
-            if (upperLine.startsWith("IF ")) {
-                executionStack.push({ ignore: true, metCondition: true }); 
-                continue;
-            }
-            if (upperLine.startsWith("ELSE IF ")) {
-                 // Even if it's an ELSE IF, if we are in ignore mode from a parent, 
-                 // or from a previous sibling IF that was true, we stay ignored.
-                 // We don't even parse the condition.
-                 // However, we need to handle the stack logic for "chaining".
-                 // Actually, if we are ignored, we just continue ignoring unless 
-                 // we are in the specific state of "Looking for ELSE/ELSE IF after a failure".
-            } else if (!upperLine.startsWith("ELSE") && upperLine !== "END") {
-                // Not a control structure? Completely skip.
-                continue;
+    if (data.uncovered.length) {
+        renderRemainingProblems(container, [`Not reached by any scenario: ${data.uncovered.map(l => `line ${l.line}`).join(', ')}`]);
+    }
+
+    const checkboxes = data.tests.map(({ testCase, result }) => {
+        const card = $(`
+            <div style="border: 1px solid var(--smart-theme-border); padding: 5px; margin-bottom: 5px; border-radius: 5px; background: rgba(0,0,0,0.2);">
+                <label class="checkbox_label"><input type="checkbox" checked /> <b></b></label>
+                <pre style="font-size:0.8em; overflow-x:auto; margin: 0;"></pre>
+                <div style="font-size: 0.85em;"></div>
+            </div>
+        `);
+        const { name, ...inputs } = testCase;
+        card.find('b').text(name);
+        card.find('pre').text(JSON.stringify(inputs, null, 1));
+        card.find('div').last().text(`Output: ${result.output || "(none)"}`);
+        container.append(card);
+        return { checkbox: card.find('input'), testCase };
+    });
+
+    $('<div class="menu_button menu_button_icon" title="Add the ticked scenarios to the test cases, expecting what the script does now"><i class="fa-solid fa-vial"></i> Add to Test Cases</div>')
+        .on('click', () => {
+            let tests;
+            try {
+                tests = readTestCases();
+            } catch (e) {
+                return toastr.error(e.message);
             }
-        }
+            const accepted = checkboxes.filter(c => c.checkbox.prop('checked')).map(c => c.testCase);
+            if (accepted.length === 0) return toastr.warning('Tick the scenarios to add first');
+
+            tests.push(...accepted.map(t => recordExpectations(structuredClone(t))));
+            $('#simple-logic-tests').val(JSON.stringify(tests, null, 2));
+            toastr.info(`Added ${accepted.length} test case(s). Check the expectations, then save the script to keep them.`);
+        })
+        .appendTo(container);
+}
+
+/**
+ * Lists the suggestions from AI Auto-Script. Everything from the model is inserted as text.
+ * Scripts that still have syntax errors can be copied to the editor but not saved from here.
+ * @param {{analysis: string, suggestions: object[]}} data - From checkSuggestionReply().
+ */
+function displayAnalysisResults(data) {
+    const container = $('#simple-logic-ai-result');
+    container.empty();
+    
+    container.append($('<div></div>').append('<b>Analysis:</b> ').append(document.createTextNode(data.analysis)), '<hr>');
+    
+    const checkboxes = data.suggestions.map(s => {
+        const valid = s.errors.length === 0;
+        const card = $(`
+            <div style="border: 1px solid var(--smart-theme-border); padding: 5px; margin-bottom: 5px; border-radius: 5px; background: rgba(0,0,0,0.2);">
+                <div style="display:flex; justify-content:space-between; align-items:center; gap: 5px;">
+                    <label class="checkbox_label" style="flex: 1;"><input type="checkbox" /> <b></b></label>
+                    <div class="menu_button menu_button_icon" title="Copy to Editor"><i class="fa-solid fa-paste"></i> Use</div>
+                </div>
+                <pre style="font-size:0.8em; overflow-x:auto;"></pre>
+            </div>
+        `);
+        card.find('b').text(s.name);
+        card.find('pre').text(s.code);
+        if (s.description) card.find('label').attr('title', s.description);
+        const checkbox = card.find('input').prop({ checked: valid, disabled: !valid });
+        s.errors.forEach(d => {
+            $('<div style="font-size: 0.85em; color: var(--fullred, #e55);"></div>')
+                .text(`Line ${d.line}: ${d.message}`)
+                .insertBefore(card.find('pre'));
+        });
         
-        // Expand macros ({{char}}, {{user}}, {{random}}, etc.) safely now
-        const line = substituteParams(rawLine);
-        upperLine = line.trim().toUpperCase();
-        currentScope = executionStack[executionStack.length - 1]; 
-
-        // Debug Logging (Temporary, via Browser Console)
-        console.debug(`[SimpleLogic] Line: "${line}" | Upper: "${upperLine}"`);
-
-        // CONTROL FLOW: IF
-        if (upperLine.startsWith("IF ")) {
-            // Nested IF
-            if (currentScope.ignore) {
-                 executionStack.push({ ignore: true, metCondition: true }); // Ignore everything inside
-                 continue;
-            }
-            
-            // Special Keywords Pre-processing
-            let conditionStr = line.substring(3).trim();
-            // Handle LAST_MESSAGE keyword
-            if (conditionStr.includes("LAST_MESSAGE")) {
-                const context = getContext();
-                let msg = "";
-                if (context.chat && context.chat.length > 0) {
-                     msg = context.chat[context.chat.length - 1].mes;
-                     // Sanitize for string comparison
-                     msg = msg.replace(/"/g, "'");
-                }
-                conditionStr = conditionStr.replace(/LAST_MESSAGE/g, `"${msg}"`);
-            }
-            
-            const result = parseExpression(conditionStr);
-            executionStack.push({ ignore: !result, metCondition: result });
-        }
-        // CONTROL FLOW: ELSE IF
-        else if (upperLine.startsWith("ELSE IF ")) {
-             // Pop logic is tricky for flat structures, usually ELSE IF is same level as IF.
-             // But strict structured programming implies it belongs to the previous IF chain.
-             // We treat the current top stack as the block to toggle.
-             
-             if (executionStack.length <= 1) { outputBuffer += "[Error: ELSE IF without IF]"; continue; }
-             
-             const prevScope = executionStack[executionStack.length - 1];
-             const parentScope = executionStack[executionStack.length - 2];
-             
-             // If parent is ignoring us, we continue ignoring
-             if (parentScope && parentScope.ignore) {
-                 prevScope.ignore = true;
-                 prevScope.metCondition = true;
-                 continue;
-             }
-
-             // If a previous branch was already met, we ignore this one
-             if (prevScope.metCondition) {
-                 prevScope.ignore = true;
-             } else {
-                 let conditionStr = line.substring(8).trim();
-                 // Handle LAST_MESSAGE keyword
-                 if (conditionStr.includes("LAST_MESSAGE")) {
-                     const context = getContext();
-                     let msg = "";
-                     if (context.chat && context.chat.length > 0) {
-                          msg = context.chat[context.chat.length - 1].mes;
-                          msg = msg.replace(/"/g, "'");
-                     }
-                     conditionStr = conditionStr.replace(/LAST_MESSAGE/g, `"${msg}"`);
-                 }
+        card.find('.menu_button').on('click', () => {
+             $('#simple-logic-name').val(s.name);
+             $('#simple-logic-content').val(s.code);
+             $('#simple-logic-description').val(s.description);
+             scriptEditor?.refresh();
+             renderDiagnostics();
+             toastr.info("Script copied to editor. Click Save to keep it.");
+        });
+        
+        container.append(card);
+        return { checkbox, suggestion: s };
+    });
 
-                 const result = parseExpression(conditionStr);
-                 prevScope.ignore = !result;
-                 if (result) prevScope.metCondition = true;
-             }
-        }
-        // CONTROL FLOW: ELSE
-        else if (upperLine.startsWith("ELSE")) {
-             if (executionStack.length <= 1) { outputBuffer += "[Error: ELSE without IF]"; continue; }
-             
-             const prevScope = executionStack[executionStack.length - 1];
-             const parentScope = executionStack[executionStack.length - 2];
-
-             if (parentScope && parentScope.ignore) {
-                 prevScope.ignore = true;
-                 continue;
-             }
-
-             if (prevScope.metCondition) {
-                 prevScope.ignore = true;
-             } else {
-                 prevScope.ignore = false;
-                 prevScope.metCondition = true;
-             }
-        }
-        // CONTROL FLOW: END
-        else if (upperLine === "END") {
-             if (executionStack.length > 1) {
-                 executionStack.pop();
-             }
+    if (checkboxes.some(c => !c.checkbox.prop('disabled'))) {
+        $('<div class="menu_button menu_button_icon" title="Add the ticked scripts to the library (taken names get a number)"><i class="fa-solid fa-save"></i> Save Selected</div>')
+            .on('click', () => {
+                const accepted = checkboxes.filter(c => c.checkbox.prop('checked')).map(c => c.suggestion);
+                if (accepted.length === 0) return toastr.warning('Tick the scripts to save first');
+                installScripts(accepted.map(s => ({ name: s.name, content: s.code, description: s.description || undefined })), 'rename', 'AI Auto-Script');
+            })
+            .appendTo(container);
+    }
+}
+
+function refreshProfiles() {
+    const context = getContext();
+    const select = $('#simple-logic-ai-profile');
+    select.empty();
+    select.append('<option value="">-- Select AI Profile --</option>');
+    
+    if (context.extensionSettings && context.extensionSettings.connectionManager) {
+        const profiles = context.extensionSettings.connectionManager.profiles || [];
+        profiles.forEach(p => {
+            select.append($('<option>').val(p.id).text(p.name));
+        });
+    }
+}
+
+// --- UI HANDLING ---
+
+let selectedScriptIndex = -1;
+
+// Yes/no question in SillyTavern's popup; the text is shown as is, never as HTML
+async function confirmPopup(text) {
+    const content = $('<div style="white-space: pre-wrap; text-align: left;"></div>').text(text);
+    return await callGenericPopup(content, POPUP_TYPE.CONFIRM) === POPUP_RESULT.AFFIRMATIVE;
+}
+
+// --- LIBRARY ORGANIZATION ---
+
+// Stable id per script (names can repeat across scopes and change on rename)
+const createScriptId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// Older libraries and imported scripts have no id yet
+function ensureScriptIds(scripts) {
+    (scripts || []).forEach(s => {
+        if (!s.id) s.id = createScriptId();
+    });
+}
+
+const parseTags = (text) => [...new Set(text.split(',').map(t => t.trim().replace(/^#/, '')).filter(Boolean))];
+
+// Every word of the query must appear in the name, content, description, folder or tags
+function scriptMatchesSearch(script, query) {
+    if (!query) return true;
+    const haystack = [script.name, script.content, script.description, script.folder, ...(script.tags || [])].join('\n').toLowerCase();
+    return query.toLowerCase().split(/\s+/).every(word => haystack.includes(word));
+}
+
+const scriptSorters = {
+    manual: null,
+    name: (a, b) => a.name.localeCompare(b.name),
+    nameDesc: (a, b) => b.name.localeCompare(a.name),
+    updated: (a, b) => (b.updated || 0) - (a.updated || 0),
+};
+
+function renderScriptItem({ script, index, applies }) {
+    const item = $('<div class="menu_button"></div>')
+        .toggleClass('conf-btn-active', index === selectedScriptIndex)
+        .attr('data-index', index)
+        .text(script.name);
+
+    const scope = getScriptScope(script);
+    if (scope !== 'global') {
+        item.append($(`<i class="fa-solid ${scope === 'chat' ? 'fa-comments' : 'fa-user'}"></i>`).attr('title', describeScriptScope(script)).css('margin-left', '5px'));
+    }
+    if (hasTriggers(script)) item.append(' <i class="fa-solid fa-bolt" title="Runs on chat events"></i>');
+    if (script.tags?.length) item.append($('<small style="opacity: 0.7; margin-left: 5px;"></small>').text(script.tags.map(t => `#${t}`).join(' ')));
+    const timingLabel = $('<small class="simple-logic-timing" style="opacity: 0.7; margin-left: 5px;"></small>').attr('data-id', script.id);
+    renderTimingLabel(timingLabel, script.id);
+    item.append(timingLabel);
+
+    let note = null;
+    if (!applies) note = `${describeScriptScope(script)}; not active in this chat`;
+    else if (getSavedScript(script.name) !== script) note = 'Overridden here by a more specific script with the same name';
+    if (note) item.css('opacity', 0.5);
+    item.attr('title', [script.description, note].filter(Boolean).join('\n'));
+
+    item.on('click', () => {
+         selectedScriptIndex = index;
+         loadScriptToEditor();
+         renderScriptList();
+    });
+    return item;
+}
+
+function renderScriptList() {
+    const listContainer = $('#simple-logic-list');
+    listContainer.empty();
+    
+    const settings = extension_settings[extensionKey];
+    const scripts = settings.scripts || [];
+    const showAll = $('#simple-logic-list-filter').val() === 'all';
+    const query = ($('#simple-logic-search').val() || "").trim();
+    const owners = getCurrentOwners();
+
+    const entries = scripts
+        .map((script, index) => ({ script, index, applies: scriptAppliesHere(script, owners) }))
+        .filter(e => (e.applies || showAll) && scriptMatchesSearch(e.script, query));
+    const sorter = scriptSorters[settings.listSort];
+    if (sorter) entries.sort((a, b) => sorter(a.script, b.script));
+
+    // Unfiled scripts first, then one group per folder
+    const folders = new Map([['', []]]);
+    entries.forEach(e => {
+        const folder = e.script.folder || '';
+        if (!folders.has(folder)) folders.set(folder, []);
+        folders.get(folder).push(e);
+    });
+    const folderNames = [...folders.keys()].filter(Boolean).sort((a, b) => a.localeCompare(b));
+
+    ['', ...folderNames].forEach(folder => {
+        // Search results always show, even in collapsed folders
+        const collapsed = !!folder && !query && settings.collapsedFolders.includes(folder);
+        if (folder) {
+            $('<div style="cursor: pointer; font-weight: bold; margin-top: 5px;"></div>')
+                .append($('<i></i>').addClass(collapsed ? 'fa-solid fa-folder' : 'fa-solid fa-folder-open'))
+                .append(document.createTextNode(` ${folder} (${folders.get(folder).length})`))
+                .on('click', () => toggleFolder(folder))
+                .appendTo(listContainer);
         }
-        // COMMAND: SAY
-        else if (upperLine.startsWith("SAY ")) {
-            if (!currentScope.ignore) {
-                let text = line.substring(4).trim();
-                // Strip quotes if present
-                if (text.startsWith('"') && text.endsWith('"')) text = text.slice(1, -1);
-                outputBuffer += text + " ";
-            }
+
+        // Each group is a drop target, so dragging a script onto a folder moves it there
+        const group = $('<div class="simple-logic-folder" style="display: flex; flex-direction: column; gap: 2px; min-height: 4px;"></div>').attr('data-folder', folder);
+        if (folder) group.css('margin-left', '10px');
+        if (!collapsed) folders.get(folder).forEach(e => group.append(renderScriptItem(e)));
+        listContainer.append(group);
+    });
+
+    // Drag to reorder only makes sense in library order with nothing hidden by the search
+    const groups = listContainer.find('.simple-logic-folder');
+    if (!sorter && !query && typeof groups.sortable === 'function') {
+        groups.sortable({
+            connectWith: '#simple-logic-list .simple-logic-folder',
+            items: '> [data-index]',
+            delay: 150,
+            stop: applyListOrder,
+        });
+    }
+
+    $('#simple-logic-folders').empty().append(folderNames.map(f => $('<option></option>').attr('value', f)));
+    renderTransferList();
+}
+
+function toggleFolder(folder) {
+    const collapsed = extension_settings[extensionKey].collapsedFolders;
+    const index = collapsed.indexOf(folder);
+    if (index === -1) collapsed.push(folder);
+    else collapsed.splice(index, 1);
+    saveSettingsDebounced();
+    renderScriptList();
+}
+
+// Saves the order (and folders) after a drag. Listed scripts take the array slots they had before, in
+// their new order; scripts not listed (other chats, collapsed folders) keep their places.
+function applyListOrder() {
+    const settings = extension_settings[extensionKey];
+    const scripts = settings.scripts;
+    const selected = scripts[selectedScriptIndex];
+
+    const moved = [];
+    $('#simple-logic-list .simple-logic-folder').each((i, group) => {
+        const folder = $(group).attr('data-folder');
+        $(group).children('[data-index]').each((j, el) => {
+            const script = scripts[Number($(el).attr('data-index'))];
+            script.folder = folder || undefined;
+            moved.push(script);
+        });
+    });
+
+    const slots = moved.map(s => scripts.indexOf(s)).sort((a, b) => a - b);
+    const reordered = [...scripts];
+    slots.forEach((slot, i) => reordered[slot] = moved[i]);
+    settings.scripts = reordered;
+    selectedScriptIndex = reordered.indexOf(selected);
+
+    saveSettingsDebounced();
+    renderScriptList();
+    loadScriptToEditor();
+}
+
+function duplicateCurrentScript() {
+    const settings = extension_settings[extensionKey];
+    const original = settings.scripts?.[selectedScriptIndex];
+    if (!original) return toastr.warning('Select a saved script to duplicate');
+
+    const taken = (name) => settings.scripts.some(s => s.name === name && getScriptScope(s) === getScriptScope(original) && s.owner === original.owner);
+    let name = `${original.name}_copy`;
+    for (let n = 2; taken(name); n++) name = `${original.name}_copy${n}`;
+
+    const copy = { ...structuredClone(original), id: createScriptId(), name, updated: Date.now() };
+    settings.scripts.splice(selectedScriptIndex + 1, 0, copy);
+    selectedScriptIndex++;
+
+    saveSettingsDebounced();
+    renderScriptList();
+    loadScriptToEditor();
+    toastr.success(`Created ${name}`);
+}
+
+function loadScriptToEditor() {
+    const settings = extension_settings[extensionKey];
+    const scripts = settings.scripts || [];
+    
+    if (selectedScriptIndex >= 0 && selectedScriptIndex < scripts.length) {
+        const script = scripts[selectedScriptIndex];
+        $('#simple-logic-name').val(script.name);
+        $('#simple-logic-content').val(script.content);
+        $('#simple-logic-tests').val(script.tests?.length ? JSON.stringify(script.tests, null, 2) : '');
+        $('#simple-logic-scope').val(getScriptScope(script));
+        $('#simple-logic-folder').val(script.folder || '');
+        $('#simple-logic-tags').val((script.tags || []).join(', '));
+        $('#simple-logic-description').val(script.description || '');
+        $('#simple-logic-owner').text(getScriptScope(script) === 'global' ? '' : describeScriptScope(script));
+        loadTriggersToEditor(script.triggers);
+        $('#simple-logic-usage').text(`{{logic::${script.name}}}`);
+    } else {
+        // Clear editor
+        $('#simple-logic-name').val('');
+        $('#simple-logic-content').val('');
+        $('#simple-logic-tests').val('');
+        $('#simple-logic-scope').val('global');
+        $('#simple-logic-folder').val('');
+        $('#simple-logic-tags').val('');
+        $('#simple-logic-description').val('');
+        $('#simple-logic-owner').text('');
+        loadTriggersToEditor(null);
+        $('#simple-logic-usage').text('{{logic::scriptName}}');
+    }
+    $('#simple-logic-test-results').empty();
+    scriptEditor?.refresh();
+    renderDiagnostics();
+    renderRevisions();
+}
+
+let scriptEditor = null; // attachEditor() handle for #simple-logic-content
+
+// Autocomplete sources: variables in this chat and the global store (plus ones the script sets), and scripts CALL can reach
+function getEditorCompletions() {
+    const context = getContext();
+    const variables = new Set([
+        ...Object.keys(context.chatMetadata?.variables || {}),
+        ...Object.keys(extension_settings.variables?.global || {}),
+    ]);
+    const content = $('#simple-logic-content').val() || "";
+    for (const match of content.matchAll(/^\s*(?:SET|SETVAR|INC|DEC|PUSH)\s+(?:(?:LOCAL|GLOBAL)(?:\s+|\.))?([A-Za-z_][\w.]*)/gim)) {
+        variables.add(match[1]);
+    }
+
+    const owners = getCurrentOwners();
+    const scripts = new Set((extension_settings[extensionKey].scripts || [])
+        .filter(s => scriptAppliesHere(s, owners))
+        .map(s => s.name));
+
+    return { variables: [...variables].sort(), scripts: [...scripts].sort() };
+}
+
+// Selects a line in the editor (1-based), e.g. when a diagnostic is clicked
+function selectEditorLine(lineNo) {
+    const textarea = $('#simple-logic-content')[0];
+    const lines = textarea.value.split('\n');
+    const start = lines.slice(0, lineNo - 1).reduce((sum, l) => sum + l.length + 1, 0);
+    textarea.focus();
+    textarea.setSelectionRange(start, start + (lines[lineNo - 1] || "").length);
+}
+
+/**
+ * Lints the editor contents and lists the problems under the editor.
+ * @returns {object[]} - The diagnostics from lintScript().
+ */
+function renderDiagnostics() {
+    const container = $('#simple-logic-diagnostics');
+    container.empty();
+
+    const diagnostics = lintScript($('#simple-logic-content').val() || "", sillyTavernHost);
+    diagnostics.forEach(d => {
+        const isError = d.severity === 'error';
+        const row = $('<div style="cursor: pointer;"></div>')
+            .css('color', isError ? 'var(--fullred, #e55)' : 'var(--warning, orange)')
+            .attr('title', 'Go to line')
+            .on('click', () => selectEditorLine(d.line));
+        row.append($('<i></i>').addClass(isError ? 'fa-solid fa-circle-xmark' : 'fa-solid fa-triangle-exclamation'));
+        row.append(document.createTextNode(` Line ${d.line}: ${d.message}`));
+        container.append(row);
+    });
+
+    container.toggle(diagnostics.length > 0);
+    return diagnostics;
+}
+
+function saveCurrentScript() {
+    const name = $('#simple-logic-name').val().trim();
+    const content = $('#simple-logic-content').val();
+    
+    if (!name) return toastr.error('Script must have a name');
+    if (name.includes('/')) return toastr.error('Script names can\'t contain "/" (it separates the namespace, as in alice/combat_check)');
+
+    const diagnostics = renderDiagnostics();
+    const errors = diagnostics.filter(d => d.severity === 'error');
+    if (errors.length > 0) {
+        return toastr.error(`Line ${errors[0].line}: ${errors[0].message}`, `Fix ${errors.length} error(s) before saving`);
+    }
+    const warningCount = diagnostics.length - errors.length;
+    const triggers = readTriggersFromEditor();
+
+    let tests;
+    try {
+        tests = readTestCases();
+    } catch (e) {
+        return toastr.error(e.message, 'Invalid test cases');
+    }
+    
+    const settings = extension_settings[extensionKey];
+    if (!settings.scripts) settings.scripts = [];
+    const editing = settings.scripts[selectedScriptIndex];
+
+    // Editing a bound script keeps its owner; binding it anew uses the open character / chat
+    const scope = $('#simple-logic-scope').val() || 'global';
+    let owner, ownerName;
+    if (scope !== 'global') {
+        if (editing && getScriptScope(editing) === scope) {
+            ({ owner, ownerName } = editing);
+        } else {
+            const owners = getCurrentOwners();
+            owner = owners[scope] ?? undefined;
+            ownerName = scope === 'character' ? owners.characterName : owners.chat;
+            if (!owner) return toastr.error(scope === 'character' ? 'Open a chat with a single character to bind the script to it' : 'Open a chat to bind the script to it');
         }
-        // COMMAND: SET (Legacy/Simple)
-        else if (upperLine.startsWith("SET ")) {
-            if (!currentScope.ignore) {
-                // Syntax: SET varName = value
-                const parts = line.substring(4).split("=");
-                if (parts.length === 2) {
-                    const varName = parts[0].trim();
-                    let valStr = parts[1].trim();
-                    // Basic strip quotes
-                    if (valStr.startsWith('"') && valStr.endsWith('"')) valStr = valStr.slice(1, -1);
-                    setVariable(varName, valStr);
-                }
-            }
+    }
+
+    // Check if name exists in the same scope (and isn't the one we are editing)
+    const existingIndex = settings.scripts.findIndex(s => s.name === name && getScriptScope(s) === scope && s.owner === owner);
+    if (existingIndex !== -1 && existingIndex !== selectedScriptIndex) {
+        return toastr.error(scope === 'global' ? 'A global script with this name already exists' : `${describeScriptScope({ scope, owner, ownerName })} already has a script with this name`);
+    }
+
+    const binding = { scope, owner, ownerName };
+    const details = {
+        folder: $('#simple-logic-folder').val().trim() || undefined,
+        tags: parseTags($('#simple-logic-tags').val() || ""),
+        description: $('#simple-logic-description').val().trim() || undefined,
+        updated: Date.now(),
+    };
+    if (selectedScriptIndex >= 0 && selectedScriptIndex < settings.scripts.length) {
+        // Update existing, keeping the old version in the history
+        if (editing.content !== content || editing.name !== name) addRevision(editing);
+        // The old program and timings no longer describe this script
+        if (editing.content !== content) {
+            forgetCompiledScript(editing.id);
+            scriptTimings.delete(editing.id);
         }
-        // COMMAND: SETVAR (Explicit Typed)
-        else if (upperLine.startsWith('SETVAR ')) {
-            if (!currentScope.ignore) {
-                const content = line.substring(7).trim();
-                const firstSpace = content.indexOf(' ');
-                
-                if (firstSpace !== -1) {
-                    const varName = content.substring(0, firstSpace).trim();
-                    let varValueRaw = content.substring(firstSpace + 1).trim();
-                    let varValue;
-
-                    // Simple type inference
-                    if (varValueRaw.startsWith('"') && varValueRaw.endsWith('"')) {
-                        // It's a string, strip quotes
-                        varValue = varValueRaw.slice(1, -1);
-                    } else if (!isNaN(parseFloat(varValueRaw)) && isFinite(varValueRaw)) {
-                        // It's a number
-                        varValue = parseFloat(varValueRaw);
-                    } else if (varValueRaw.toLowerCase() === 'true') {
-                        varValue = true;
-                    } else if (varValueRaw.toLowerCase() === 'false') {
-                        varValue = false;
-                    } else {
-                        // Treat as string fallback or variable lookup?
-                        // For now, simple fallback to string
-                        varValue = varValueRaw;
-                    }
+        settings.scripts[selectedScriptIndex] = { ...editing, name, content, tests, triggers, ...binding, ...details };
+    } else {
+        // Add new
+        settings.scripts.push({ id: createScriptId(), name, content, tests, triggers, ...binding, ...details });
+        selectedScriptIndex = settings.scripts.length - 1;
+    }
+    
+    saveSettingsDebounced();
+    renderScriptList();
+    loadScriptToEditor();
+    if (warningCount > 0) toastr.warning(`Script saved with ${warningCount} warning(s); see the list under the editor`);
+    else toastr.success('Script saved');
+}
+
+async function deleteCurrentScript() {
+    if (selectedScriptIndex < 0) return;
+    
+    const settings = extension_settings[extensionKey];
+    const script = settings.scripts[selectedScriptIndex];
+    if (!script || !await confirmPopup(`Move "${script.name}" to the trash?`)) return;
+
+    // The list can change while the popup is open
+    const index = settings.scripts.indexOf(script);
+    if (index === -1) return;
+    settings.scripts.splice(index, 1);
+    settings.trash.push({ deleted: Date.now(), script, revisions: settings.revisions[script.id] || [] });
+    delete settings.revisions[script.id];
+    forgetCompiledScript(script.id);
+    if (settings.trash.length > maxTrashItems) settings.trash.splice(0, settings.trash.length - maxTrashItems);
+    selectedScriptIndex = -1;
+    
+    saveSettingsDebounced();
+    renderScriptList();
+    loadScriptToEditor();
+    renderTrash();
+    toastr.info(`Moved "${script.name}" to the trash`);
+}
+
+// --- TEST RUN PANEL ---
+
+let testRun = null; // Last runSandboxed() result
+let testStepIndex = -1;
+
+// Copies the real variable stores so a Test Run can start from them
+function getRealVariables() {
+    const context = getContext();
+    return {
+        local: structuredClone(context.chatMetadata?.variables || {}),
+        global: structuredClone(extension_settings.variables?.global || {}),
+    };
+}
+
+// Applies "name = value" / "LOCAL name = value" lines onto a variables object
+function applyTestVariables(text, variables) {
+    text.split(/\r?\n/).map(l => l.trim()).filter(Boolean).forEach(l => {
+        const { scope, rest } = splitScope(l);
+        const match = rest.match(/^([^=\s]+)\s*=\s*(.*)$/);
+        if (!match) return toastr.warning(`Ignoring test variable line "${l}" (use name = value)`);
+
+        let value = match[2].trim();
+        if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1);
+        variables[scope || extension_settings[extensionKey].defaultScope || 'global'][match[1]] = value;
+    });
+    return variables;
+}
+
+/**
+ * Lists the variables that differ between two snapshots.
+ * @returns {{scope: string, name: string, before: *, after: *}[]}
+ */
+function diffVariables(before, after) {
+    const changes = [];
+    for (const scope of variableScopes) {
+        const names = new Set([...Object.keys(before[scope] || {}), ...Object.keys(after[scope] || {})]);
+        names.forEach(name => {
+            const oldValue = before[scope]?.[name];
+            const newValue = after[scope]?.[name];
+            if (String(oldValue) !== String(newValue)) changes.push({ scope, name, before: oldValue, after: newValue });
+        });
+    }
+    return changes;
+}
+
+// The Test Run inputs, as options for runSandboxed()
+function readTestRunInputs() {
+    const context = getContext();
+    const variables = applyTestVariables(
+        $('#simple-logic-test-vars').val() || "",
+        $('#simple-logic-test-real-vars').prop('checked') ? getRealVariables() : { local: {}, global: {} },
+    );
+
+    const chat = [...(context.chat || [])];
+    const fakeMessage = $('#simple-logic-test-message').val();
+    if (fakeMessage) {
+        const isUser = $('#simple-logic-test-speaker').val() === 'user';
+        chat.push({ name: isUser ? context.name1 : context.name2, mes: fakeMessage, is_user: isUser, is_system: false });
+    }
+    return { variables, chat, expandMacros: $('#simple-logic-test-macros').prop('checked') };
+}
+
+function runTestPanel() {
+    try {
+        testRun = runSandboxed($('#simple-logic-content').val() || "", readTestRunInputs());
+    } catch (e) {
+        console.error("Simple Logic Test Run Error:", e);
+        testRun = null;
+        $('#simple-logic-test-output').text(`[Logic Error: ${e.message}]`);
+        return;
+    }
+
+    renderTestSteps();
+    renderTestStep(testRun.steps.length - 1);
+}
+
+function runBenchmark() {
+    const content = $('#simple-logic-content').val() || "";
+    if (!content.trim()) return toastr.warning("Write a script to benchmark first");
+
+    try {
+        const { compileMs, runMs, runs } = benchmarkSandboxed(content, readTestRunInputs());
+        $('#simple-logic-test-benchmark').text(`Compile ${formatDuration(compileMs)}, then ${formatDuration(runMs)} per run (average of ${runs})`);
+    } catch (e) {
+        console.error("Simple Logic Benchmark Error:", e);
+        $('#simple-logic-test-benchmark').text(`[Logic Error: ${e.message}]`);
+    }
+}
+
+function renderTestSteps() {
+    const container = $('#simple-logic-test-steps');
+    container.empty();
+
+    testRun.steps.forEach((step, index) => {
+        const location = step.script ? `${step.script}:${step.line}` : `${step.line}`;
+        const row = $('<div style="cursor: pointer; white-space: pre;"></div>')
+            .attr('data-step', index)
+            .text(`${'  '.repeat(step.depth)}${location.padStart(4)}  ${step.text}${step.note ? `   ← ${step.note}` : ""}`)
+            .on('click', () => renderTestStep(index));
+        container.append(row);
+    });
+}
+
+// Shows output and variable changes as they were right after the given step (or the final state for the last step)
+function renderTestStep(index) {
+    if (!testRun) return;
+    const isFinal = index >= testRun.steps.length - 1;
+    testStepIndex = Math.max(0, Math.min(index, testRun.steps.length - 1));
+    const step = testRun.steps[testStepIndex];
+
+    $('#simple-logic-test-steps > div').css('background', '');
+    if (step) {
+        const row = $(`#simple-logic-test-steps > div[data-step="${testStepIndex}"]`).css('background', 'var(--SmartThemeQuoteColor, rgba(255,255,255,0.1))');
+        row[0]?.scrollIntoView({ block: 'nearest' });
+        if (!step.script) selectEditorLine(step.line);
+    }
+
+    $('#simple-logic-test-step-label').text(testRun.steps.length ? `Step ${testStepIndex + 1} / ${testRun.steps.length}` : "No steps ran");
+    $('#simple-logic-test-output').text((isFinal || !step ? testRun.output : step.output.trim()) || "(no output)");
+
+    const diff = $('#simple-logic-test-diff');
+    diff.empty();
+    const changes = diffVariables(testRun.before, isFinal || !step ? testRun.after : step.variables);
+    if (changes.length === 0) diff.text("(no variable changes)");
+    changes.forEach(c => {
+        const show = (v) => v === undefined ? "(unset)" : JSON.stringify(v);
+        diff.append($('<div style="font-family: monospace;"></div>').text(`${c.scope.toUpperCase()}.${c.name}: ${show(c.before)} → ${show(c.after)}`));
+    });
+
+    // World Info toggles and injections are only recorded, not made
+    if (isFinal || !step) {
+        (testRun.effects || []).forEach(effect => {
+            const text = describeEffect(effect);
+            diff.append($('<div style="font-family: monospace; opacity: 0.8;"></div>').text(`${text} (not applied in a Test Run)`));
+        });
+    }
+}
+
+// One line per recorded World Info toggle, injection or output (see createMemoryHost)
+function describeEffect(effect) {
+    switch (effect.type) {
+        case 'inject': return `INJECT at depth ${effect.depth} as ${effect.role}: ${JSON.stringify(effect.text)}`;
+        case 'worldInfo': return `WI ${effect.enabled ? 'ENABLE' : 'DISABLE'} ${JSON.stringify(effect.entry)}${effect.book ? ` in ${JSON.stringify(effect.book)}` : ""}`;
+        case 'note': return `${effect.append ? "NOTE APPEND" : "NOTE"}: ${JSON.stringify(effect.text)}`;
+        case 'narrate': return `NARRATE: ${JSON.stringify(effect.text)}`;
+        case 'toast': return `TOAST (${effect.level}): ${JSON.stringify(effect.text)}`;
+        case 'sendAs': return `SEND AS ${effect.name}: ${JSON.stringify(effect.text)}`;
+        default: return JSON.stringify(effect);
+    }
+}
+
+// --- SCRIPT TEST CASES ---
+
+// Parses the test case editor (a JSON array, see runTestCase in engine.js). Throws on bad JSON.
+function readTestCases() {
+    const text = ($('#simple-logic-tests').val() || "").trim();
+    if (!text) return [];
+
+    let tests;
+    try {
+        tests = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Test cases are not valid JSON: ${e.message}`);
+    }
+    if (!Array.isArray(tests)) throw new Error('Test cases must be a JSON array');
+    if (tests.some(t => !t || typeof t !== 'object' || Array.isArray(t))) throw new Error('Each test case must be an object');
+    return tests;
+}
+
+// Sets a test case's expectations to whatever the script in the editor does with its inputs
+function recordExpectations(testCase) {
+    const result = runTestCase($('#simple-logic-content').val() || "", testCase, {
+        getScript: getSavedScript,
+        settings: extension_settings[extensionKey],
+    });
+    testCase.expectOutput = result.output;
+    testCase.expectVariables = { global: {}, local: {} };
+    diffVariables(testCase.variables, result.variables).forEach(c => {
+        testCase.expectVariables[c.scope][c.name] = c.after ?? null;
+    });
+    return testCase;
+}
+
+// Turns the Test Run inputs into a new test case whose expectations are whatever the script does now
+function addTestFromInputs() {
+    let tests;
+    try {
+        tests = readTestCases();
+    } catch (e) {
+        return toastr.error(e.message);
+    }
+
+    const testCase = {
+        name: `Test ${tests.length + 1}`,
+        variables: applyTestVariables($('#simple-logic-test-vars').val() || "", { local: {}, global: {} }),
+    };
+    const message = $('#simple-logic-test-message').val();
+    if (message) {
+        testCase.message = message;
+        testCase.speaker = $('#simple-logic-test-speaker').val();
+    }
+
+    tests.push(recordExpectations(testCase));
+    $('#simple-logic-tests').val(JSON.stringify(tests, null, 2));
+    toastr.info('Check the expectations, then save the script to keep the test');
+}
+
+function runTestCases() {
+    const container = $('#simple-logic-test-results');
+    container.empty();
+
+    let tests;
+    try {
+        tests = readTestCases();
+    } catch (e) {
+        return toastr.error(e.message);
+    }
+    if (tests.length === 0) return container.text('(no test cases)');
+
+    const content = $('#simple-logic-content').val() || "";
+    const results = tests.map(t => runTestCase(content, t, { getScript: getSavedScript, settings: extension_settings[extensionKey] }));
+    const passed = results.filter(r => r.passed).length;
+
+    container.append($('<b></b>').text(`${passed} / ${results.length} passed`));
+    results.forEach(r => {
+        const row = $('<div></div>').css('color', r.passed ? 'var(--okGreen, #5b5)' : 'var(--fullred, #e55)');
+        row.append($('<i></i>').addClass(r.passed ? 'fa-solid fa-circle-check' : 'fa-solid fa-circle-xmark'));
+        row.append(document.createTextNode(` ${r.name}`));
+        r.failures.forEach(f => row.append($('<div style="margin-left: 1.5em; font-family: monospace;"></div>').text(f)));
+        container.append(row);
+    });
+}
+
+// --- SLASH COMMANDS ---
+
+// Values are piped as text; booleans and numbers come out as "true" / "12", lists and maps as JSON.
+const toPipe = (value) => value === null || value === undefined ? "" : serializeValue(value);
+
+const scriptNameEnum = () => (extension_settings[extensionKey].scripts || [])
+    .map(s => new SlashCommandEnumValue(s.name, (s.content || "").split('\n')[0]));
+
+/**
+ * Registers /logic-run, /logic-eval, /logic-list, /logic-show, /logic-get and /logic-set for STscript and Quick Replies.
+ * Errors show a toast and pipe an empty string, so a pipeline never receives "[Logic Error: ...]" as data.
+ */
+function registerSlashCommands() {
+    const { SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } = getContext();
+    if (!SlashCommandParser?.addCommandObject) {
+        console.warn("[Simple Logic] Slash command API not available; skipping /logic-* commands.");
+        return;
+    }
+
+    const scopeArgument = SlashCommandNamedArgument.fromProps({
+        name: 'scope',
+        description: 'local (this chat) or global. Reads default to the chat first, then global; writes to wherever the variable already exists.',
+        typeList: [ARGUMENT_TYPE.STRING],
+        enumList: variableScopes,
+    });
+
+    const withErrorToast = (command, fn) => async (args, value) => {
+        try {
+            return toPipe(await fn(args, value ?? ""));
+        } catch (e) {
+            console.error(`Simple Logic /${command} Error:`, e);
+            toastr.error(e.message, `/${command}`);
+            return "";
+        }
+    };
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'logic-run',
+        callback: withErrorToast('logic-run', (args, value) => {
+            if (!String(value).trim()) throw new Error("Give a saved script name or script code");
+            const { content, saved } = resolveScriptArgument(String(value));
+            const result = timeScriptRun(saved, () => runScript(content, sillyTavernHost, {
+                args: args.args ? evaluateArgumentList(String(args.args), sillyTavernHost) : null,
+                scriptId: saved?.id,
+            }));
+            // Errors go to the toast; their inline text must not be piped on
+            if (result.errors.length) throw new Error(result.errors.join('\n'));
+            return args.result === 'return' ? result.returnValue : result.output;
+        }),
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'args',
+                description: 'Arguments for the script, bound as ARG1..ARGn like CALL (space-separated expressions)',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'result',
+                description: 'What to pipe: the SAY output, or the value given to RETURN',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'output',
+                enumList: ['output', 'return'],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'saved script name, or script code',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+                enumProvider: scriptNameEnum,
+            }),
+        ],
+        helpString: `
+            <div>Runs a saved Simple Logic script (or inline code) and pipes its output.</div>
+            <div><strong>Examples:</strong>
+                <ul>
+                    <li><pre><code>/logic-run damage args="5 \\"fire\\"" | /echo</code></pre></li>
+                    <li><pre><code>/logic-run result=return roll_loot</code></pre></li>
+                </ul>
+            </div>`,
+        returns: 'the script output (or its RETURN value)',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'logic-eval',
+        callback: withErrorToast('logic-eval', (args, value) => evaluateExpressionText(String(value), sillyTavernHost)),
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'expression',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+            <div>Evaluates one Simple Logic expression (the same syntax as IF conditions and SET values) and pipes the result.</div>
+            <div><strong>Examples:</strong>
+                <ul>
+                    <li><pre><code>/logic-eval hp * 2 + 1d6</code></pre></li>
+                    <li><pre><code>/logic-eval LAST_MESSAGE CONTAINS "attack"</code></pre> pipes <code>true</code> or <code>false</code></li>
+                </ul>
+            </div>`,
+        returns: 'the value',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'logic-list',
+        callback: withErrorToast('logic-list', (args, value) => {
+            const filter = String(value).trim().toLowerCase();
+            const names = (extension_settings[extensionKey].scripts || []).map(s => s.name).filter(n => n.toLowerCase().includes(filter));
+            return JSON.stringify(names);
+        }),
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'only names containing this text',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        helpString: `
+            <div>Pipes the names of the saved Simple Logic scripts as a JSON array.</div>
+            <div><strong>Example:</strong> <pre><code>/logic-list combat | /echo</code></pre></div>`,
+        returns: 'JSON array of script names',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'logic-show',
+        callback: withErrorToast('logic-show', (args, value) => {
+            const saved = getSavedScript(String(value).trim());
+            if (!saved) throw new Error(`No saved script named "${String(value).trim()}"`);
+            return saved.content;
+        }),
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'script name',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+                enumProvider: scriptNameEnum,
+            }),
+        ],
+        helpString: `
+            <div>Pipes the code of a saved Simple Logic script.</div>
+            <div><strong>Example:</strong> <pre><code>/logic-show damage | /echo</code></pre></div>`,
+        returns: 'script code',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'logic-get',
+        callback: withErrorToast('logic-get', (args, value) => getVariable(sillyTavernHost, String(value).trim(), args.scope || null)),
+        namedArgumentList: [scopeArgument],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'variable name',
+                typeList: [ARGUMENT_TYPE.VARIABLE_NAME],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+            <div>Pipes a Simple Logic variable (empty if unset).</div>
+            <div><strong>Example:</strong> <pre><code>/logic-get scope=local mood | /echo</code></pre></div>`,
+        returns: 'the value',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'logic-set',
+        callback: withErrorToast('logic-set', (args, value) => {
+            if (!args.key) throw new Error("Give the variable name with key=");
+            setVariable(sillyTavernHost, String(args.key), value, args.scope || null);
+            return value;
+        }),
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'key',
+                description: 'variable name',
+                typeList: [ARGUMENT_TYPE.VARIABLE_NAME],
+                isRequired: true,
+            }),
+            scopeArgument,
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'value (stored as text, like SETVAR)',
+                typeList: [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.NUMBER],
+            }),
+        ],
+        helpString: `
+            <div>Sets a Simple Logic variable and pipes the value. Combine with <code>/logic-eval</code> to store a computed value.</div>
+            <div><strong>Examples:</strong>
+                <ul>
+                    <li><pre><code>/logic-set key=mood scope=local happy</code></pre></li>
+                    <li><pre><code>/logic-eval hp - 1d6 | /logic-set key=hp</code></pre></li>
+                </ul>
+            </div>`,
+        returns: 'the value that was set',
+    }));
+}
+
+// --- EVENT TRIGGERS ---
+
+// Chat events a saved script can run on (script.triggers[key] = true), plus script.triggers.everyN.
+const scriptTriggers = [
+    { key: 'received', label: 'Reply received', title: 'After a character message arrives' },
+    { key: 'sent', label: 'Message sent', title: 'After the user sends a message' },
+    { key: 'chatChanged', label: 'Chat opened', title: 'When a chat is opened or switched to' },
+    { key: 'generation', label: 'Generation start', title: 'When a reply starts generating, before the prompt is built' },
+];
+
+// "<script id>|<trigger>|<message id>" keys that already ran since the last generation started.
+// SillyTavern can emit the same event more than once per reply (re-renders, continues); a script runs once.
+let firedThisGeneration = new Set();
+
+const hasTriggers = (script) => !!script.triggers && (scriptTriggers.some(t => script.triggers[t.key]) || script.triggers.everyN > 0);
+
+// "Reply received, every 5 messages"
+const describeTriggers = (script) => [
+    ...scriptTriggers.filter(t => script.triggers?.[t.key]).map(t => t.label),
+    ...(script.triggers?.everyN > 0 ? [`every ${script.triggers.everyN} messages`] : []),
+].join(', ');
+
+function loadTriggersToEditor(triggers) {
+    scriptTriggers.forEach(t => $(`#simple-logic-trigger-${t.key}`).prop('checked', !!triggers?.[t.key]));
+    $('#simple-logic-trigger-every').val(triggers?.everyN || '');
+}
+
+function readTriggersFromEditor() {
+    const triggers = {};
+    scriptTriggers.forEach(t => {
+        if ($(`#simple-logic-trigger-${t.key}`).prop('checked')) triggers[t.key] = true;
+    });
+    const everyN = parseInt($('#simple-logic-trigger-every').val());
+    if (everyN > 0) triggers.everyN = everyN;
+    return triggers;
+}
+
+/**
+ * Runs every saved script with a matching trigger. Output is discarded (there's no prompt to put it in);
+ * errors are logged.
+ * @param {string} trigger - A scriptTriggers key.
+ * @param {number|null} [messageId] - The message the event is about (sent / received). Set means the event added a message,
+ *   so "every N messages" scripts are due when the count hits a multiple of N.
+ */
+function runTriggeredScripts(trigger, messageId = null) {
+    const settings = extension_settings[extensionKey];
+    if (!settings?.eventTriggers) return;
+
+    const messageCount = (getContext().chat || []).filter(m => !m.is_system).length;
+    const owners = getCurrentOwners();
+
+    (settings.scripts || []).filter(script => scriptAppliesHere(script, owners)).forEach(script => {
+        const due = script.triggers?.[trigger]
+            || (messageId !== null && script.triggers?.everyN > 0 && messageCount > 0 && messageCount % script.triggers.everyN === 0);
+        if (!due) return;
+
+        const key = `${script.id}|${trigger}|${messageId ?? ''}`;
+        if (firedThisGeneration.has(key)) return;
+        firedThisGeneration.add(key);
+
+        try {
+            const output = withJournalTarget(messageId, () => timeScriptRun(script, () => evaluateLogic(script.content, sillyTavernHost, { scriptId: script.id })));
+            if (output.includes('[Error:')) console.warn(`[Simple Logic] Script "${script.name}" (on ${trigger}): ${output}`);
+        } catch (e) {
+            console.error(`Simple Logic Trigger Error (${script.name}):`, e);
+        }
+    });
+}
+
+function registerEventTriggers() {
+    const { eventSource, eventTypes } = getContext();
+    if (!eventSource || !eventTypes) {
+        console.warn("[Simple Logic] Event source not available; event-triggered scripts are disabled.");
+        return;
+    }
+
+    eventSource.on(eventTypes.MESSAGE_RECEIVED, (messageId) => runTriggeredScripts('received', Number(messageId)));
+    eventSource.on(eventTypes.MESSAGE_SENT, (messageId) => runTriggeredScripts('sent', Number(messageId)));
+    eventSource.on(eventTypes.CHAT_CHANGED, () => {
+        firedThisGeneration = new Set();
+        runTriggeredScripts('chatChanged');
+    });
+    eventSource.on(eventTypes.GENERATION_STARTED, (type, options, dryRun) => {
+        // Dry runs only count prompt tokens, and quiet prompts are other extensions' background requests
+        if (dryRun || type === 'quiet') return;
+        firedThisGeneration = new Set();
+        runTriggeredScripts('generation');
+    });
+}
+
+// --- VARIABLE JOURNAL ---
+
+// Per-chat record of which variable changes each message caused, so swipes, regenerations and deletes can undo them.
+// chatMetadata[journalMetadataKey] = [{ id, messageId, swipeId, time, state, changes: [{ scope, name, before, after }] }]
+// before is undefined when the change created the variable.
+// state: 'applied' (in effect), 'swiped' (its swipe isn't shown; re-applied when swiped back) or 'undone' (by hand).
+const journalMetadataKey = 'simple_logic_journal';
+const maxJournalEntries = 200;
+
+// Changes made while a reply is generating; they belong to the message that arrives (MESSAGE_RECEIVED).
+let pendingChanges = null;
+// Message id that changes are recorded against outside a generation (scripts triggered by a sent/received message)
+let journalTarget = null;
+
+function getJournal() {
+    const context = getContext();
+    if (!context.chatMetadata) return null;
+    if (!Array.isArray(context.chatMetadata[journalMetadataKey])) context.chatMetadata[journalMetadataKey] = [];
+    return context.chatMetadata[journalMetadataKey];
+}
+
+function saveJournal() {
+    getContext().saveMetadataDebounced?.();
+    renderJournal();
+}
+
+function withJournalTarget(messageId, fn) {
+    const previous = journalTarget;
+    journalTarget = messageId;
+    try {
+        return fn();
+    } finally {
+        journalTarget = previous;
+    }
+}
+
+// Called by sillyTavernHost for every successful write. Writes from slash commands, Test Runs and chat-opened
+// scripts aren't tied to a message and aren't journaled.
+function recordVariableChange(scope, name, before, after) {
+    if (!extension_settings[extensionKey]?.journalVariables) return;
+    const change = { scope, name, before, after };
+
+    if (journalTarget !== null) addJournalChanges(journalTarget, [change]);
+    else if (pendingChanges) pendingChanges.push(change);
+}
+
+// Appends changes to the entry for the message's current swipe, creating it if needed
+function addJournalChanges(messageId, changes) {
+    const journal = getJournal();
+    const message = getContext().chat?.[messageId];
+    if (!journal || !message || changes.length === 0) return;
+
+    const swipeId = message.swipe_id ?? 0;
+    let entry = journal.find(e => e.messageId === messageId && e.swipeId === swipeId && e.state === 'applied');
+    if (!entry) {
+        entry = { id: Date.now() + Math.random(), messageId, swipeId, time: Date.now(), state: 'applied', changes: [] };
+        journal.push(entry);
+        if (journal.length > maxJournalEntries) journal.splice(0, journal.length - maxJournalEntries);
+    }
+    entry.changes.push(...changes);
+    saveJournal();
+}
+
+// Writes straight to the stores: reverting must not itself be journaled. Variables the entry created are deleted.
+function revertEntry(entry, state) {
+    [...entry.changes].reverse().forEach(c => {
+        if (c.before === undefined) deleteStVariable(c.scope, c.name);
+        else writeStVariable(c.scope, c.name, c.before);
+    });
+    entry.state = state;
+}
+
+function reapplyEntry(entry) {
+    entry.changes.forEach(c => writeStVariable(c.scope, c.name, c.after));
+    entry.state = 'applied';
+}
+
+// Undoes entries newest first, so a variable changed by several of them ends at the oldest "before"
+function revertEntries(entries, state) {
+    [...entries].sort((a, b) => b.time - a.time).forEach(e => revertEntry(e, state));
+}
+
+// The deleted message's entries are undone and dropped, and later messages' entries move up one. Entries that end up
+// past the end of the chat (several messages deleted at once) are undone too.
+function onJournalMessageDeleted(messageId) {
+    const journal = getJournal();
+    if (!journal) return;
+
+    const deletedId = Number(messageId);
+    const chatLength = (getContext().chat || []).length;
+    const shifted = (entry) => entry.messageId > deletedId ? entry.messageId - 1 : entry.messageId;
+    const gone = journal.filter(e => e.messageId === deletedId || shifted(e) >= chatLength);
+    if (gone.length === 0 && !journal.some(e => e.messageId > deletedId)) return;
+
+    revertEntries(gone.filter(e => e.state === 'applied'), 'undone');
+    const kept = journal.filter(e => !gone.includes(e));
+    kept.forEach(e => e.messageId = shifted(e));
+    getContext().chatMetadata[journalMetadataKey] = kept;
+    saveJournal();
+}
+
+function onJournalMessageSwiped(messageId) {
+    const journal = getJournal();
+    const message = getContext().chat?.[messageId];
+    if (!journal || !message) return;
+
+    const swipeId = message.swipe_id ?? 0;
+    const entries = journal.filter(e => e.messageId === messageId);
+    revertEntries(entries.filter(e => e.state === 'applied' && e.swipeId !== swipeId), 'swiped');
+    entries.filter(e => e.state === 'swiped' && e.swipeId === swipeId).sort((a, b) => a.time - b.time).forEach(reapplyEntry);
+    saveJournal();
+}
+
+function registerJournalEvents() {
+    const { eventSource, eventTypes } = getContext();
+    if (!eventSource || !eventTypes) return;
+
+    eventSource.on(eventTypes.GENERATION_STARTED, (type, options, dryRun) => {
+        if (dryRun || type === 'quiet') return;
+        pendingChanges = [];
+    });
+    eventSource.on(eventTypes.MESSAGE_RECEIVED, (messageId) => {
+        if (!pendingChanges) return;
+        addJournalChanges(Number(messageId), pendingChanges);
+        pendingChanges = null;
+    });
+    // A generation that ended without MESSAGE_RECEIVED (stopped, failed): keep its changes undoable on the last message
+    const finishGeneration = () => {
+        if (!pendingChanges) return;
+        addJournalChanges((getContext().chat || []).length - 1, pendingChanges);
+        pendingChanges = null;
+    };
+    eventSource.on(eventTypes.GENERATION_ENDED, finishGeneration);
+    eventSource.on(eventTypes.GENERATION_STOPPED, finishGeneration);
+    eventSource.on(eventTypes.MESSAGE_SWIPED, (messageId) => onJournalMessageSwiped(Number(messageId)));
+    eventSource.on(eventTypes.MESSAGE_DELETED, onJournalMessageDeleted);
+    eventSource.on(eventTypes.CHAT_CHANGED, () => {
+        pendingChanges = null;
+        renderJournal();
+    });
+}
+
+// Lists the current chat's journal, newest first, with Undo / Redo per entry
+function renderJournal() {
+    const container = $('#simple-logic-history');
+    if (!container.length) return;
+    container.empty();
+
+    const journal = getContext().chatMetadata?.[journalMetadataKey] || [];
+    if (journal.length === 0) return container.text("(no variable changes recorded in this chat)");
+
+    const show = (v) => v === undefined ? "(unset)" : JSON.stringify(v);
+    [...journal].reverse().forEach(entry => {
+        const row = $('<div style="margin-bottom: 5px;"></div>').css('opacity', entry.state === 'applied' ? 1 : 0.5);
+        const header = $('<div style="display: flex; gap: 5px; align-items: center;"></div>');
+        header.append($('<b></b>').text(`Message #${entry.messageId}${entry.swipeId ? ` (swipe ${entry.swipeId + 1})` : ""}`));
+        header.append($('<small></small>').text(`${new Date(entry.time).toLocaleTimeString()}${entry.state === 'applied' ? "" : ` · ${entry.state}`}`));
+
+        if (entry.state === 'applied' || entry.state === 'undone') {
+            const isUndo = entry.state === 'applied';
+            $('<div class="menu_button menu_button_icon" style="margin-left: auto; padding: 2px 6px;"></div>')
+                .attr('title', isUndo ? 'Put these variables back to how they were before this message' : 'Apply these changes again')
+                .append($('<i></i>').addClass(isUndo ? 'fa-solid fa-rotate-left' : 'fa-solid fa-rotate-right'))
+                .append(document.createTextNode(isUndo ? ' Undo' : ' Redo'))
+                .on('click', () => {
+                    if (isUndo) revertEntry(entry, 'undone');
+                    else reapplyEntry(entry);
+                    saveJournal();
+                })
+                .appendTo(header);
+        }
+
+        row.append(header);
+        entry.changes.forEach(c => {
+            row.append($('<div style="font-family: monospace; margin-left: 1em;"></div>').text(`${c.scope.toUpperCase()}.${c.name}: ${show(c.before)} → ${show(c.after)}`));
+        });
+        container.append(row);
+    });
+}
+
+// --- WORLD INFO & PROMPT INJECTION ---
+
+let activatedWorldInfo = []; // Entries from the latest World Info scan (WORLD_INFO_ACTIVATED), for WI_ACTIVE
+
+// Names a script can use for an entry: its title (comment), any of its keys, or its uid (all lowercase)
+function worldInfoEntryNames(entry) {
+    return [entry.comment, ...(entry.key || []), entry.uid].filter(n => n !== undefined && n !== null && n !== '').map(n => String(n).toLowerCase());
+}
+
+// Lorebooks in effect for the current chat: chat lore, the character's book, then the globally selected ones
+function getActiveWorldNames() {
+    const context = getContext();
+    const character = context.characterId !== undefined ? context.characters?.[context.characterId] : null;
+    return [...new Set([
+        context.chatMetadata?.world_info,
+        character?.data?.extensions?.world,
+        ...(selected_world_info || []),
+    ].filter(Boolean))];
+}
+
+/**
+ * Turns the first matching entry on or off and saves its lorebook (no-op if it's already in that state).
+ * Entries match by title first, then by key or uid.
+ * @param {string} entryName - Entry title, key or uid.
+ * @param {boolean} enabled - New state.
+ * @param {string|null} bookName - Lorebook to look in; null for the active ones.
+ */
+async function setWorldInfoEntryEnabled(entryName, enabled, bookName) {
+    if (bookName && !world_names?.includes(bookName)) throw new Error(`No lorebook named "${bookName}"`);
+    const name = entryName.toLowerCase();
+
+    for (const book of bookName ? [bookName] : getActiveWorldNames()) {
+        const data = await loadWorldInfo(book);
+        const entries = Object.values(data?.entries || {});
+        const entry = entries.find(e => String(e.comment || '').toLowerCase() === name) || entries.find(e => worldInfoEntryNames(e).includes(name));
+        if (!entry) continue;
+
+        if (Boolean(entry.disable) === !enabled) return;
+        entry.disable = !enabled;
+        await saveWorldInfo(book, data, true);
+        reloadEditor(book);
+        return;
+    }
+    throw new Error(`No World Info entry "${entryName}" in ${bookName ? `"${bookName}"` : 'the active lorebooks'}`);
+}
+
+// Text placed with INJECT: extension prompt key -> phase it was made in.
+// 'prompt' / 'dry' injections come from building a prompt and are rebuilt with the next one;
+// 'idle' ones (made between generations, e.g. by message-received triggers) are kept for the next generation,
+// which marks them 'used' and clears them when it ends.
+const injectedPrompts = new Map();
+let generationPhase = 'idle'; // 'idle', 'prompt' (building a real generation's prompt) or 'dry' (a dry run, e.g. token counting)
+
+// WI ENABLE / DISABLE states written during the current generation: "<book>|<entry>" -> enabled.
+// The prompt can be built several times for one reply; the lorebook is only saved again when the state changes.
+const worldInfoToggles = new Map();
+
+function toggleWorldInfo(entryName, enabled, bookName) {
+    if (generationPhase === 'dry') return;
+    if (generating) {
+        const key = `${bookName ?? ''}|${entryName.toLowerCase()}`;
+        if (worldInfoToggles.get(key) === enabled) return;
+        worldInfoToggles.set(key, enabled);
+    }
+    setWorldInfoEntryEnabled(entryName, enabled, bookName).catch(e => {
+        console.error("[Simple Logic] WI", e);
+        toastr.error(e.message, `Simple Logic: WI ${enabled ? 'ENABLE' : 'DISABLE'}`);
+    });
+}
+
+function injectPrompt(text, depth, role) {
+    // Same text at the same place = same key, so a prompt built twice doesn't inject twice
+    const key = `${extensionKey}_inject_${hashString(`${depth}|${role}|${text}`)}`;
+    injectedPrompts.set(key, generationPhase);
+    setExtensionPrompt(key, text, extension_prompt_types.IN_CHAT, depth, false, extension_prompt_roles[role.toUpperCase()]);
+}
+
+function clearInjectedPrompts(filter = () => true) {
+    for (const [key, phase] of injectedPrompts) {
+        if (!filter(phase)) continue;
+        setExtensionPrompt(key, '', extension_prompt_types.IN_CHAT, 0);
+        injectedPrompts.delete(key);
+    }
+}
+
+function registerWorldInfoEvents() {
+    const { eventSource, eventTypes } = getContext();
+    if (!eventSource || !eventTypes) return;
+
+    if (eventTypes.WORLD_INFO_ACTIVATED) {
+        eventSource.on(eventTypes.WORLD_INFO_ACTIVATED, (entries) => activatedWorldInfo = Array.isArray(entries) ? entries : []);
+    }
+    eventSource.on(eventTypes.GENERATION_STARTED, (type, options, dryRun) => {
+        // Dry runs (token counting, prompt itemization) can happen mid-generation; they must not touch its injections
+        if (dryRun) {
+            if (generationPhase === 'idle') generationPhase = 'dry';
+            return;
+        }
+        clearInjectedPrompts(phase => phase !== 'idle');
+        injectedPrompts.forEach((phase, key) => injectedPrompts.set(key, 'used'));
+        worldInfoToggles.clear();
+        generationPhase = 'prompt';
+    });
+    // Runs after MESSAGE_RECEIVED, so injections made by received triggers survive it
+    const finishGeneration = () => {
+        clearInjectedPrompts(phase => phase !== 'idle');
+        generationPhase = 'idle';
+    };
+    eventSource.on(eventTypes.GENERATION_ENDED, finishGeneration);
+    eventSource.on(eventTypes.GENERATION_STOPPED, finishGeneration);
+    // Before the triggers, so message-received scripts inject for the next generation
+    eventSource.on(eventTypes.MESSAGE_RECEIVED, () => generationPhase = 'idle');
+    // Dry runs don't end with GENERATION_ENDED
+    if (eventTypes.GENERATE_AFTER_DATA) {
+        eventSource.on(eventTypes.GENERATE_AFTER_DATA, (data, dryRun) => {
+            if (dryRun && generationPhase === 'dry') generationPhase = 'idle';
+        });
+    }
+    eventSource.on(eventTypes.CHAT_CHANGED, () => {
+        activatedWorldInfo = [];
+        clearInjectedPrompts();
+        worldInfoToggles.clear();
+        generationPhase = 'idle';
+    });
+}
+
+// --- OUTPUT CHANNELS ---
+
+// NOTE / NARRATE / TOAST / SEND AS. The prompt can be built several times for one reply, so during a generation
+// each distinct action is queued once and runs when the generation ends; actions from dry runs are dropped.
+// Between generations (slash commands, triggers after the reply) they run right away.
+const queuedOutputs = new Map(); // hash of the action -> action
+let generating = false;
+
+// Adds a message without MESSAGE_SENT / MESSAGE_RECEIVED, so it can't set off message triggers (and loop)
+async function addChatMessage(message) {
+    const context = getContext();
+    if (!context.chat || !context.addOneMessage) throw new Error("Open a chat first");
+    context.chat.push(message);
+    context.addOneMessage(message);
+    await context.saveChat();
+}
+
+const outputChannels = {
+    note: ({ text, append }) => {
+        const textarea = $('#extension_floating_prompt');
+        if (!textarea.length) throw new Error("The Author's Note extension isn't loaded");
+        const current = getContext().chatMetadata?.note_prompt ?? textarea.val() ?? '';
+        // The Author's Note panel saves its own input
+        textarea.val(append && current ? `${current}\n${text}` : text).trigger('input');
+    },
+    narrate: ({ text }) => addChatMessage(createNarratorMessage(text, {
+        name: systemUserName,
+        avatar: system_avatar,
+        type: system_message_types.NARRATOR,
+        sendDate: getMessageTimeStamp(),
+    })),
+    // Script text can come from chat messages
+    toast: ({ text, level }) => toastr[level](text, extensionName, { escapeHtml: true }),
+    sendAs: ({ name, text }) => {
+        const context = getContext();
+        const character = context.characters?.find(c => c.name === name);
+        const avatar = character && character.avatar !== 'none' ? character.avatar : undefined;
+        return addChatMessage(createSendAsMessage(name, text, {
+            sendDate: getMessageTimeStamp(),
+            avatar,
+            avatarUrl: avatar ? context.getThumbnailUrl?.('avatar', avatar) : undefined,
+        }));
+    },
+};
+
+async function runOutput(action) {
+    try {
+        await outputChannels[action.type](action);
+    } catch (e) {
+        console.error("[Simple Logic] Output", e);
+        toastr.error(e.message, `Simple Logic: ${action.type}`);
+    }
+}
+
+function queueOutput(action) {
+    if (generationPhase === 'dry') return;
+    if (!generating) return runOutput(action);
+
+    const key = hashString(JSON.stringify(action));
+    if (!queuedOutputs.has(key)) queuedOutputs.set(key, action);
+}
+
+async function flushOutputs() {
+    const actions = [...queuedOutputs.values()];
+    queuedOutputs.clear();
+    for (const action of actions) await runOutput(action);
+}
 
-                    // Apply to SillyTavern Context
-                    setVariable(varName, varValue);
-                }
-            }
-        }
-    }
+function registerOutputEvents() {
+    const { eventSource, eventTypes } = getContext();
+    if (!eventSource || !eventTypes) return;
 
-    return outputBuffer.trim();
-};
+    eventSource.on(eventTypes.GENERATION_STARTED, (type, options, dryRun) => {
+        if (dryRun) return;
+        generating = true;
+        queuedOutputs.clear();
+    });
+    const finishGeneration = () => {
+        generating = false;
+        flushOutputs();
+    };
+    eventSource.on(eventTypes.GENERATION_ENDED, finishGeneration);
+    eventSource.on(eventTypes.GENERATION_STOPPED, finishGeneration);
+    eventSource.on(eventTypes.CHAT_CHANGED, () => {
+        generating = false;
+        queuedOutputs.clear();
+    });
+}
 
-const defaultSettings = {
-    scripts: []
-};
+// --- IMPORT / EXPORT ---
 
-function loadSettings() {
-    if (!extension_settings[extensionKey]) {
-        extension_settings[extensionKey] = defaultSettings;
+// Checkbox list of scripts to export or embed (keeps the ticks across re-renders)
+function renderTransferList() {
+    const container = $('#simple-logic-transfer-list');
+    const checked = new Set(container.find('input:checked').map((i, el) => Number($(el).attr('data-index'))).get());
+    container.empty();
+
+    (extension_settings[extensionKey].scripts || []).forEach((script, index) => {
+        const label = $('<label class="checkbox_label"></label>').attr('title', describeScriptScope(script));
+        label.append($('<input type="checkbox" />').attr('data-index', index).prop('checked', checked.has(index)));
+        label.append(document.createTextNode(` ${script.name}${getScriptScope(script) === 'global' ? '' : ` (${script.ownerName || getScriptScope(script)})`}`));
+        container.append(label);
+    });
+}
+
+function getTransferSelection() {
+    const indexes = $('#simple-logic-transfer-list input:checked').map((i, el) => Number($(el).attr('data-index'))).get();
+    return (extension_settings[extensionKey].scripts || []).filter((s, index) => indexes.includes(index));
+}
+
+function exportSelectedScripts() {
+    const scripts = getTransferSelection();
+    if (scripts.length === 0) return toastr.warning('Tick the scripts to export first');
+
+    const baseName = scripts.length === 1 ? scripts[0].name : 'simple-logic-scripts';
+    if ($('#simple-logic-export-format').val() === 'slogic') {
+        download(exportSlogic(scripts), `${baseName}.slogic`, 'text/plain');
+    } else {
+        download(exportLibraryJson(scripts), `${baseName}.json`, 'application/json');
     }
 }
 
-function getSavedScript(name) {
+/**
+ * Adds scripts to the library and reports what happened.
+ * @param {object[]} incoming - Scripts to add.
+ * @param {'rename'|'overwrite'|'skip'} policy - Name collision handling (see mergeScripts).
+ * @param {string} source - Shown in the toast, e.g. the file name.
+ * @returns {object} - The mergeScripts() report.
+ */
+function installScripts(incoming, policy, source) {
     const settings = extension_settings[extensionKey];
-    if (!settings || !settings.scripts) return null;
-    return settings.scripts.find(s => s.name === name);
-}
+    // Ids are local to a library: overwritten scripts keep theirs, new ones get fresh ones
+    const previous = new Map((settings.scripts || []).map(s => [s.id, s]));
+    const result = mergeScripts(settings.scripts || [], incoming.map(({ id, ...script }) => script), policy);
+    result.scripts.forEach(s => {
+        const old = previous.get(s.id);
+        if (old && old !== s && old.content !== s.content) addRevision(old);
+    });
+    settings.scripts = result.scripts;
+    ensureScriptIds(settings.scripts);
+    saveSettingsDebounced();
+    renderScriptList();
 
-// --- AI ANALYSIS HELPERS ---
+    const parts = [];
+    if (result.added.length) parts.push(`added ${result.added.join(', ')}`);
+    if (result.overwritten.length) parts.push(`overwrote ${result.overwritten.join(', ')}`);
+    if (result.renamed.length) parts.push(`renamed ${result.renamed.map(r => `${r.from} → ${r.to}`).join(', ')}`);
+    if (result.skipped.length) parts.push(`skipped ${result.skipped.join(', ')}`);
+    toastr.info(parts.join('; ') || 'Nothing to import', `Simple Logic: ${source}`);
+    return result;
+}
 
-async function generateAnalysis() {
-    // 1. Get Params
-    const profileId = $('#simple-logic-ai-profile').val();
-    const depth = parseInt($('#simple-logic-ai-depth').val()) || 15;
-    const source = $('#simple-logic-ai-source').val() || 'all';
-    const mode = $('#simple-logic-ai-mode').val() || 'script';
+async function importScriptFile(file) {
+    try {
+        const scripts = parseLibraryFile(await getFileText(file), file.name);
+        installScripts(scripts, $('#simple-logic-import-conflict').val(), file.name);
+    } catch (e) {
+        console.error("Simple Logic Import Error:", e);
+        toastr.error(e.message, `Could not import ${file.name}`);
+    }
+}
 
+// Stores the ticked scripts in the current character card (data.extensions.simple_logic)
+async function embedInCharacter() {
     const context = getContext();
-    const service = context.ConnectionManagerRequestService;
-
-    if (!service) return toastr.error("Connection Manager not found. Update SillyTavern.");
-    if (!profileId) return toastr.error("Select a Connection Profile first.");
+    const character = context.characters?.[context.characterId];
+    if (!character || context.groupId) return toastr.warning('Open a chat with a single character first');
 
-    $('#simple-logic-ai-result').html("<i>Generating analysis... please wait...</i>").show();
+    let scripts = getTransferSelection();
+    if (scripts.length === 0 && !await confirmPopup(`Remove all Simple Logic scripts from ${character.name}'s card?`)) return;
 
-    // 2. Build History
-    let chat = context.chat || [];
-    if (source === 'user') chat = chat.filter(m => m.is_user);
-    if (source === 'char') chat = chat.filter(m => !m.is_user);
+    // Bindings are local to this install; the card's scripts get bound to whoever imports it
+    scripts = scripts.map(({ scope, owner, ownerName, source, cardName, ...rest }) => rest);
+    await context.writeExtensionField(context.characterId, extensionKey, { scripts });
+    // The library already has these; don't offer them back when the chat reloads
+    extension_settings[extensionKey].installedCardBundles[character.avatar] = hashString(JSON.stringify(scripts));
+    saveSettingsDebounced();
+    toastr.success(scripts.length ? `Embedded ${scripts.length} script(s) in ${character.name}'s card` : `Removed the scripts from ${character.name}'s card`);
+}
 
-    const history = chat.slice(-depth).map(msg => {
-        return `${msg.is_user ? 'User' : (msg.name || 'Char')}: ${msg.mes}`;
-    }).join("\n");
+// Installs scripts bundled in the current character's card the first time (and whenever the bundle changes),
+// bound to that character. Installs are marked (source: 'card', cardName: the name in the card), and a changed
+// bundle updates its earlier installs in place. The user's own scripts are never replaced: name collisions with
+// them are installed under a new name.
+const cardInstallsInProgress = new Set(); // Avatars whose install is waiting for the user, so CHAT_CHANGED doesn't ask twice
 
-    // 3. Construct System Prompt
-    let instructions = "";
-    if (mode === 'script') {
-        instructions = `Then, create 3 unique "Simple Logic" Scripts to introduce randomness or events.
-    
-    The Script Format is:
-    IF RANDOM < 0.3
-      SAY "Something unexpected happens."
-      SETVAR something "true"
-    ELSE
-      SAY "Things remain calm."
-    END
-    
-    Use the keyword LAST_MESSAGE to check the last text effectively (e.g. IF LAST_MESSAGE CONTAINS "fight").`;
-    } 
-    else if (mode === 'keywords') {
-        instructions = `Often, simple keyword checks are safer than random events. 
-        Suggest 5 specific keywords or phrases found in the text that would be good triggers.
-        Return them as snippets like: IF LAST_MESSAGE CONTAINS "sword" ... END`;
-    }
-    else {
-        instructions = `Analyze the roleplay dynamic. Suggest what kind of Logic Scripts (Random events, state tracking) would improve it. 
-        Return the suggestions in the code block as comments or pseudo-code snippets.`;
-    }
+async function installCardScripts() {
+    const context = getContext();
+    const character = context.characters?.[context.characterId];
+    const scripts = character?.data?.extensions?.[extensionKey]?.scripts;
+    if (!Array.isArray(scripts) || scripts.length === 0) return;
 
-    const prompt = `Analyze the following Roleplay Chat history (Last ${depth} messages). 
-    Identify the current narrative tone and logical next steps. 
-    ${instructions}
-    
-    Output ONLY a JSON object with this structure:
-    {
-       "analysis": "Short summary of tone",
-       "suggestions": [
-           { "name": "Event Name", "code": "IF ... END" },
-           { "name": "Event Name 2", "code": "IF ... END" }
-       ]
-    }
-    
-    Chat History:
-    ${history}`;
+    const settings = extension_settings[extensionKey];
+    const installed = settings.installedCardBundles;
+    const hash = hashString(JSON.stringify(scripts));
+    if (installed[character.avatar] === hash || cardInstallsInProgress.has(character.avatar)) return;
 
-    // 4. Send Request
+    cardInstallsInProgress.add(character.avatar);
     try {
-        const messages = [{ role: 'user', content: prompt }];
-        const responseCallback = await service.sendRequest(profileId, messages, 600);
-        
-        // Handle stream or text
-        let resultText = "";
-        if (responseCallback && typeof responseCallback === 'string') {
-             resultText = responseCallback;
-        } else if (responseCallback && responseCallback.content) {
-             resultText = responseCallback.content;
-        }
+        const fromCard = (s) => s.source === 'card' && s.scope === 'character' && s.owner === character.avatar;
+        let bound = parseLibraryFile(JSON.stringify(scripts)).map(s => {
+            // An earlier install that was renamed on a collision keeps its new name
+            const earlier = settings.scripts.find(old => fromCard(old) && old.cardName === s.name);
+            return { ...s, name: earlier?.name ?? s.name, scope: 'character', owner: character.avatar, ownerName: character.name, source: 'card', cardName: s.name };
+        });
 
-        // 5. Parse JSON
-        // Clean markdown code blocks if present
-        resultText = resultText.replace(/```json/g, "").replace(/```/g, "").trim();
-        const json = JSON.parse(resultText);
-        
-        displayAnalysisResults(json);
+        // Cards come from anywhere: scripts that run by themselves need the user's go-ahead
+        const triggered = bound.filter(hasTriggers);
+        if (triggered.length) {
+            const list = triggered.map(s => `- ${s.name}: ${describeTriggers(s)}`).join('\n');
+            const arm = await confirmPopup(`${character.name}'s card has scripts that run on chat events:\n${list}\n\nYes installs them with these triggers. No installs them with the triggers turned off.`);
+            if (!arm) bound = bound.map(s => ({ ...s, triggers: {} }));
+        }
 
+        installScripts(bound, (old) => fromCard(old) ? 'overwrite' : 'rename', `${character.name}'s card`);
+        installed[character.avatar] = hash;
+        saveSettingsDebounced();
     } catch (e) {
-        console.error(e);
-        $('#simple-logic-ai-result').text("Error: " + e.message);
+        console.error("Simple Logic Card Import Error:", e);
+        toastr.error(e.message, `Could not install the scripts in ${character.name}'s card`);
+    } finally {
+        cardInstallsInProgress.delete(character.avatar);
     }
 }
 
-function displayAnalysisResults(data) {
-    const container = $('#simple-logic-ai-result');
-    container.empty();
-    
-    container.append(`<div><b>Analysis:</b> ${data.analysis}</div><hr>`);
-    
-    data.suggestions.forEach(s => {
-        const card = $(`
-            <div style="border: 1px solid var(--smart-theme-border); padding: 5px; margin-bottom: 5px; border-radius: 5px; background: rgba(0,0,0,0.2);">
-                <div style="display:flex; justify-content:space-between;">
-                    <b>${s.name}</b>
-                    <div class="menu_button menu_button_icon" title="Copy to Editor"><i class="fa-solid fa-paste"></i> Use</div>
-                </div>
-                <pre style="font-size:0.8em; overflow-x:auto;">${s.code}</pre>
-            </div>
-        `);
-        
-        card.find('.menu_button').on('click', () => {
-             $('#simple-logic-name').val(s.name);
-             $('#simple-logic-content').val(s.code);
-             toastr.info("Script copied to editor. Click Save to keep it.");
-        });
-        
-        container.append(card);
-    });
+// --- REVISIONS & TRASH ---
+
+const maxRevisionsPerScript = 20;
+const maxTrashItems = 50;
+
+// Keeps a copy of a script version that is about to be replaced
+function addRevision(script) {
+    const revisions = extension_settings[extensionKey].revisions;
+    const list = revisions[script.id] || (revisions[script.id] = []);
+    list.push({ time: script.updated || Date.now(), name: script.name, content: script.content });
+    if (list.length > maxRevisionsPerScript) list.splice(0, list.length - maxRevisionsPerScript);
 }
 
-function refreshProfiles() {
-    const context = getContext();
-    const select = $('#simple-logic-ai-profile');
-    select.empty();
-    select.append('<option value="">-- Select AI Profile --</option>');
-    
-    if (context.extensionSettings && context.extensionSettings.connectionManager) {
-        const profiles = context.extensionSettings.connectionManager.profiles || [];
-        profiles.forEach(p => {
-            select.append(`<option value="${p.id}">${p.name}</option>`);
-        });
+const formatTime = (time) => new Date(time).toLocaleString();
+
+// Text for a diff side: 'editor' (unsaved editor contents), 'current' (saved) or a revision index
+function getRevisionText(script, which) {
+    if (which === 'editor') return $('#simple-logic-content').val() || "";
+    if (which === 'current') return script.content;
+    return extension_settings[extensionKey].revisions[script.id]?.[Number(which)]?.content ?? "";
+}
+
+// Revision list and compare pickers for the selected script
+function renderRevisions() {
+    const list = $('#simple-logic-revisions');
+    const pickers = $('#simple-logic-rev-left, #simple-logic-rev-right');
+    list.empty();
+    pickers.empty();
+    $('#simple-logic-rev-diff').empty();
+
+    const script = extension_settings[extensionKey].scripts?.[selectedScriptIndex];
+    if (!script) return list.text("(select a saved script)");
+
+    const revisions = extension_settings[extensionKey].revisions[script.id] || [];
+    pickers.append($('<option value="editor"></option>').text('Editor (unsaved)'), $('<option value="current"></option>').text('Saved version'));
+    [...revisions.keys()].reverse().forEach(i => {
+        pickers.append($('<option></option>').attr('value', i).text(`${formatTime(revisions[i].time)}${revisions[i].name !== script.name ? ` (${revisions[i].name})` : ""}`));
+    });
+
+    if (revisions.length === 0) {
+        list.text("(no earlier versions yet; one is kept each time the script is saved with changes)");
     }
+    [...revisions.keys()].reverse().forEach(i => {
+        const revision = revisions[i];
+        const row = $('<div style="display: flex; gap: 5px; align-items: center;"></div>');
+        row.append($('<span style="flex: 1;"></span>').text(`${formatTime(revision.time)} · ${revision.name} · ${revision.content.split('\n').length} lines`));
+        $('<div class="menu_button menu_button_icon" title="Compare with the saved version"><i class="fa-solid fa-code-compare"></i></div>')
+            .on('click', () => {
+                $('#simple-logic-rev-left').val(String(i));
+                $('#simple-logic-rev-right').val('current');
+                renderRevisionDiff();
+            })
+            .appendTo(row);
+        $('<div class="menu_button menu_button_icon" title="Restore this version (the current one is kept in the history)"><i class="fa-solid fa-clock-rotate-left"></i></div>')
+            .on('click', () => restoreRevision(i))
+            .appendTo(row);
+        list.append(row);
+    });
+
+    $('#simple-logic-rev-left').val(revisions.length ? String(revisions.length - 1) : 'current');
+    $('#simple-logic-rev-right').val(revisions.length ? 'current' : 'editor');
 }
 
-// --- UI HANDLING ---
+// Side-by-side diff of the two picked versions
+function renderRevisionDiff() {
+    const container = $('#simple-logic-rev-diff');
+    container.empty();
+    const script = extension_settings[extensionKey].scripts?.[selectedScriptIndex];
+    if (!script) return;
 
-let selectedScriptIndex = -1;
+    const rows = diffLines(getRevisionText(script, $('#simple-logic-rev-left').val()), getRevisionText(script, $('#simple-logic-rev-right').val()));
+    if (rows.every(r => r.type === 'same')) return container.text("(no differences)");
 
-function renderScriptList() {
-    const listContainer = $('#simple-logic-list');
-    listContainer.empty();
-    
-    const settings = extension_settings[extensionKey];
-    const scripts = settings.scripts || [];
+    container.append(renderDiffTable(rows));
+}
 
-    scripts.forEach((script, index) => {
-        const item = $(`<div class="menu_button ${index === selectedScriptIndex ? 'conf-btn-active' : ''}">${script.name}</div>`);
-        item.on('click', () => {
-             selectedScriptIndex = index;
-             loadScriptToEditor();
-             renderScriptList();
-        });
-        listContainer.append(item);
+// Side-by-side table for diffLines() rows
+function renderDiffTable(rows) {
+    const removedColor = 'rgba(255, 80, 80, 0.2)';
+    const addedColor = 'rgba(80, 200, 80, 0.2)';
+    const table = $('<table style="width: 100%; border-collapse: collapse; table-layout: fixed; font-family: monospace; font-size: 0.85em;"></table>');
+    rows.forEach(r => {
+        const tr = $('<tr></tr>');
+        const cell = (side, color) => {
+            tr.append($('<td style="width: 3em; text-align: right; opacity: 0.6; padding-right: 5px; vertical-align: top;"></td>').text(side?.line ?? ""));
+            tr.append($('<td style="white-space: pre-wrap; word-break: break-all;"></td>').text(side?.text ?? "").css('background', side && r.type !== 'same' ? color : ''));
+        };
+        cell(r.left, removedColor);
+        cell(r.right, addedColor);
+        table.append(tr);
     });
+    return table;
 }
 
-function loadScriptToEditor() {
+async function restoreRevision(index) {
     const settings = extension_settings[extensionKey];
-    const scripts = settings.scripts || [];
-    
-    if (selectedScriptIndex >= 0 && selectedScriptIndex < scripts.length) {
-        const script = scripts[selectedScriptIndex];
-        $('#simple-logic-name').val(script.name);
-        $('#simple-logic-content').val(script.content);
-        $('#simple-logic-usage').text(`{{logic::${script.name}}}`);
-    } else {
-        // Clear editor
-        $('#simple-logic-name').val('');
-        $('#simple-logic-content').val('');
-        $('#simple-logic-usage').text('{{logic::scriptName}}');
-    }
+    const script = settings.scripts[selectedScriptIndex];
+    const revision = settings.revisions[script?.id]?.[index];
+    if (!revision || !await confirmPopup(`Replace the code of "${script.name}" with the version from ${formatTime(revision.time)}? The current version stays in the history.`)) return;
+
+    addRevision(script);
+    script.content = revision.content;
+    script.updated = Date.now();
+    forgetCompiledScript(script.id);
+    scriptTimings.delete(script.id);
+
+    saveSettingsDebounced();
+    renderScriptList();
+    loadScriptToEditor();
+    toastr.success(`Restored the version from ${formatTime(revision.time)}`);
 }
 
-function saveCurrentScript() {
-    const name = $('#simple-logic-name').val().trim();
-    const content = $('#simple-logic-content').val();
-    
-    if (!name) return toastr.error('Script must have a name');
-    
+function renderTrash() {
+    const container = $('#simple-logic-trash');
+    container.empty();
+
+    const trash = extension_settings[extensionKey].trash;
+    $('#simple-logic-trash-empty').toggle(trash.length > 0);
+    if (trash.length === 0) return container.text("(trash is empty)");
+
+    [...trash.keys()].reverse().forEach(i => {
+        const item = trash[i];
+        const row = $('<div style="display: flex; gap: 5px; align-items: center;"></div>').attr('title', item.script.description || "");
+        row.append($('<span style="flex: 1;"></span>').text(`${item.script.name} · deleted ${formatTime(item.deleted)}`));
+        $('<div class="menu_button menu_button_icon" title="Put it back in the library"><i class="fa-solid fa-trash-arrow-up"></i> Restore</div>')
+            .on('click', () => restoreFromTrash(i))
+            .appendTo(row);
+        container.append(row);
+    });
+}
+
+function restoreFromTrash(index) {
     const settings = extension_settings[extensionKey];
-    if (!settings.scripts) settings.scripts = [];
-    
-    // Check if name exists (and isn't the one we are editing)
-    const existingIndex = settings.scripts.findIndex(s => s.name === name);
-    if (existingIndex !== -1 && existingIndex !== selectedScriptIndex) {
-        return toastr.error('A script with this name already exists');
+    const [item] = settings.trash.splice(index, 1);
+    const script = { ...item.script };
+
+    // Its name may have been reused meanwhile
+    const taken = (name) => settings.scripts.some(s => s.name === name && getScriptScope(s) === getScriptScope(script) && s.owner === script.owner);
+    if (taken(script.name)) {
+        let name = `${script.name}_restored`;
+        for (let n = 2; taken(name); n++) name = `${script.name}_restored${n}`;
+        script.name = name;
     }
+    if (settings.scripts.some(s => s.id === script.id)) script.id = createScriptId();
+
+    settings.scripts.push(script);
+    if (item.revisions?.length) settings.revisions[script.id] = item.revisions;
+    selectedScriptIndex = settings.scripts.length - 1;
 
-    if (selectedScriptIndex >= 0 && selectedScriptIndex < settings.scripts.length) {
-        // Update existing
-        settings.scripts[selectedScriptIndex] = { name, content };
-    } else {
-        // Add new
-        settings.scripts.push({ name, content });
-        selectedScriptIndex = settings.scripts.length - 1;
-    }
-    
     saveSettingsDebounced();
     renderScriptList();
     loadScriptToEditor();
-    toastr.success('Script saved');
+    renderTrash();
+    toastr.success(`Restored "${script.name}"`);
 }
 
-function deleteCurrentScript() {
-    if (selectedScriptIndex < 0) return;
-    
+async function emptyTrash() {
     const settings = extension_settings[extensionKey];
-    settings.scripts.splice(selectedScriptIndex, 1);
-    selectedScriptIndex = -1;
-    
+    const items = [...settings.trash];
+    if (!await confirmPopup(`Permanently delete the ${items.length} script(s) in the trash?`)) return;
+    // Only what the question was about; scripts trashed while it was open stay
+    settings.trash = settings.trash.filter(item => !items.includes(item));
     saveSettingsDebounced();
-    renderScriptList();
-    loadScriptToEditor();
+    renderTrash();
 }
 
 jQuery(async () => {
@@ -610,11 +2286,22 @@ jQuery(async () => {
             <div class="inline-drawer-content">
                 <div class="simple-logic-container" style="display: flex; gap: 10px; height: 500px;">
                     <!-- Left: List of Scripts -->
-                    <div class="simple-logic-sidebar" style="flex: 1; border-right: 1px solid var(--smart-theme-border);">
+                    <div class="simple-logic-sidebar" style="flex: 1; display: flex; flex-direction: column; min-height: 0; border-right: 1px solid var(--smart-theme-border);">
                         <div style="margin-bottom: 5px;">
                             <div id="simple-logic-add" class="menu_button menu_button_icon" title="Create New Script">
                                 <i class="fa-solid fa-plus"></i> New Script
                             </div>
+                            <select id="simple-logic-list-filter" class="text_pole" style="margin-top: 5px;" title="Which scripts to list">
+                                <option value="here">Active in this chat</option>
+                                <option value="all">All scripts</option>
+                            </select>
+                            <input id="simple-logic-search" class="text_pole" type="search" placeholder="Search names, code, tags..." style="margin-top: 5px;" />
+                            <select id="simple-logic-sort" class="text_pole" style="margin-top: 5px;" title="Sort order (drag scripts to reorder in Manual)">
+                                <option value="manual">Manual order</option>
+                                <option value="name">Name A-Z</option>
+                                <option value="nameDesc">Name Z-A</option>
+                                <option value="updated">Recently edited</option>
+                            </select>
                         </div>
                         <div id="simple-logic-list" style="overflow-y: auto; flex: 1; display: flex; flex-direction: column; gap: 2px;">
                             <!-- Script Items will be injected here -->
@@ -636,12 +2323,19 @@ jQuery(async () => {
                              </div>
                              
                              <select id="simple-logic-ai-mode" class="text_pole" style="width:100%;" title="Output Mode">
-                                <option value="script">Generate Scripts</option>
-                                <option value="keywords">Suggest Keywords</option>
-                                <option value="critique">Analysis Only</option>
+                                <optgroup label="Chat">
+                                    <option value="script">Generate Scripts</option>
+                                    <option value="keywords">Suggest Keywords</option>
+                                    <option value="critique">Analysis Only</option>
+                                </optgroup>
+                                <optgroup label="Script in the editor">
+                                    <option value="explain">Explain</option>
+                                    <option value="refactor">Simplify (show diff)</option>
+                                    <option value="tests">Generate Test Scenarios</option>
+                                </optgroup>
                              </select>
 
-                             <div id="simple-logic-analyze-btn" class="menu_button">Analyze Chat</div>
+                             <div id="simple-logic-analyze-btn" class="menu_button">Analyze</div>
                         </div>
                     </div>
 
@@ -650,31 +2344,215 @@ jQuery(async () => {
                         <div class="simple-logic-header" style="display: flex; gap: 10px; align-items: center;">
                             <span style="font-weight: bold;">Name:</span>
                             <input id="simple-logic-name" class="text_pole" type="text" placeholder="Script Name (e.g. combat_check)" style="flex: 1;" />
+                            <select id="simple-logic-scope" class="text_pole" style="width: auto;" title="Where this script applies. Same-named scripts resolve chat first, then character, then global; use alice/name or chat/name to pick one.">
+                                <option value="global">Global</option>
+                                <option value="character">This character</option>
+                                <option value="chat">This chat</option>
+                            </select>
                             <div id="simple-logic-save" class="menu_button menu_button_icon" title="Save Script">
                                 <i class="fa-solid fa-save"></i> Save
                             </div>
+                            <div id="simple-logic-duplicate" class="menu_button menu_button_icon" title="Duplicate Script">
+                                <i class="fa-solid fa-clone"></i>
+                            </div>
                             <div id="simple-logic-delete" class="menu_button menu_button_icon red" title="Delete Script">
                                 <i class="fa-solid fa-trash"></i>
                             </div>
                         </div>
 
+                        <div style="display: flex; gap: 10px; align-items: center;">
+                            <input id="simple-logic-folder" class="text_pole" type="text" list="simple-logic-folders" placeholder="Folder" style="flex: 1;" />
+                            <datalist id="simple-logic-folders"></datalist>
+                            <input id="simple-logic-tags" class="text_pole" type="text" placeholder="Tags (comma-separated)" style="flex: 1;" />
+                        </div>
+                        <input id="simple-logic-description" class="text_pole" type="text" placeholder="Description (shown when hovering the script in the list)" />
+
                         <div style="flex: 1; position: relative;">
-                            <textarea id="simple-logic-content" class="text_pole" style="width: 100%; height: 100%; font-family: monospace; resize: none;" 
+                            <textarea id="simple-logic-content" class="text_pole" style="width: 100%; height: 100%; font-family: monospace; resize: none; tab-size: 2;" 
                             placeholder="IF LAST_MESSAGE CONTAINS 'fight'&#10;  IF RANDOM < 0.5&#10;    SAY 'The enemy flinches!'&#10;  END&#10;END"></textarea>
                         </div>
                         
+                        <!-- Linter output for the editor contents -->
+                        <div id="simple-logic-diagnostics" style="max-height: 100px; overflow-y: auto; font-size: 0.85em; display: none;"></div>
+
+                        <!-- Chat events that run this script automatically (saved with the script) -->
+                        <div id="simple-logic-triggers" style="display: flex; flex-wrap: wrap; gap: 10px; align-items: center; font-size: 0.9em;">
+                            <span style="font-weight: bold;">Run on:</span>
+                            ${scriptTriggers.map(t => `<label class="checkbox_label" title="${t.title}"><input id="simple-logic-trigger-${t.key}" type="checkbox" /> ${t.label}</label>`).join('')}
+                            <label for="simple-logic-trigger-every">Every</label>
+                            <input id="simple-logic-trigger-every" class="text_pole" type="number" min="0" placeholder="-" style="width: 60px;" />
+                            <span>messages</span>
+                        </div>
+
                         <!-- AI Results Overlay (Hidden by default, shown when results exist) -->
                         <div id="simple-logic-ai-result" style="max-height: 150px; overflow-y: auto; border: 1px dashed var(--smart-theme-border); padding: 5px; display: none;"></div>
 
                         <div class="simple-logic-footer">
+                            <small id="simple-logic-owner" style="display: block;"></small>
                             <small>Usage: <code id="simple-logic-usage">{{logic::scriptName}}</code> OR <code id="simple-logic-raw-usage">{{logic::Raw Code}}</code></small>
                         </div>
                     </div>
                 </div>
+
+                <!-- History & Trash: earlier versions of the selected script, and deleted scripts -->
+                <div class="inline-drawer" style="margin-top: 10px;">
+                    <div class="inline-drawer-toggle inline-drawer-header">
+                        <b>History &amp; Trash</b>
+                        <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                    </div>
+                    <div class="inline-drawer-content">
+                        <b>Earlier versions</b>
+                        <div id="simple-logic-revisions" style="max-height: 120px; overflow-y: auto; font-size: 0.85em;"></div>
+                        <div style="display: flex; gap: 5px; align-items: center; margin-top: 5px;">
+                            <select id="simple-logic-rev-left" class="text_pole" style="flex: 1;" title="Left side"></select>
+                            <i class="fa-solid fa-arrow-right"></i>
+                            <select id="simple-logic-rev-right" class="text_pole" style="flex: 1;" title="Right side"></select>
+                            <div id="simple-logic-rev-compare" class="menu_button menu_button_icon" title="Show the differences"><i class="fa-solid fa-code-compare"></i> Compare</div>
+                        </div>
+                        <div id="simple-logic-rev-diff" style="max-height: 250px; overflow: auto; margin-top: 5px;"></div>
+                        <hr>
+                        <div style="display: flex; gap: 5px; align-items: center;">
+                            <b style="flex: 1;">Trash</b>
+                            <div id="simple-logic-trash-empty" class="menu_button menu_button_icon red" title="Permanently delete everything in the trash"><i class="fa-solid fa-trash-can"></i> Empty</div>
+                        </div>
+                        <div id="simple-logic-trash" style="max-height: 120px; overflow-y: auto; font-size: 0.85em;"></div>
+                    </div>
+                </div>
+
+                <!-- Import / Export: share scripts as files or inside a character card -->
+                <div class="inline-drawer" style="margin-top: 10px;">
+                    <div class="inline-drawer-toggle inline-drawer-header">
+                        <b>Import / Export</b>
+                        <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                    </div>
+                    <div class="inline-drawer-content">
+                        <div id="simple-logic-transfer-list" style="display: flex; flex-wrap: wrap; gap: 5px 15px; max-height: 120px; overflow-y: auto;"></div>
+                        <div style="display: flex; flex-wrap: wrap; gap: 5px; align-items: center; margin-top: 5px;">
+                            <div id="simple-logic-transfer-all" class="menu_button menu_button_icon" title="Tick / untick every script"><i class="fa-solid fa-check-double"></i></div>
+                            <select id="simple-logic-export-format" class="text_pole" style="width: auto;" title="File format">
+                                <option value="json">JSON</option>
+                                <option value="slogic">.slogic (plain text)</option>
+                            </select>
+                            <div id="simple-logic-export" class="menu_button menu_button_icon" title="Download the ticked scripts"><i class="fa-solid fa-file-export"></i> Export</div>
+                            <div id="simple-logic-embed" class="menu_button menu_button_icon" title="Store the ticked scripts in the current character's card, so they install for anyone who imports it"><i class="fa-solid fa-id-card"></i> Embed in character</div>
+                        </div>
+                        <div style="display: flex; flex-wrap: wrap; gap: 5px; align-items: center; margin-top: 5px;">
+                            <label for="simple-logic-import-conflict">If a name is taken:</label>
+                            <select id="simple-logic-import-conflict" class="text_pole" style="width: auto;">
+                                <option value="rename">Keep both (rename)</option>
+                                <option value="overwrite">Overwrite</option>
+                                <option value="skip">Skip</option>
+                            </select>
+                            <div id="simple-logic-import" class="menu_button menu_button_icon" title="Import a .json or .slogic file"><i class="fa-solid fa-file-import"></i> Import</div>
+                            <input id="simple-logic-import-file" type="file" accept=".json,.slogic,.txt" hidden />
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Test Run: dry-run the editor contents against a sandbox -->
+                <div class="inline-drawer" style="margin-top: 10px;">
+                    <div class="inline-drawer-toggle inline-drawer-header">
+                        <b>Test Run</b>
+                        <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                    </div>
+                    <div class="inline-drawer-content">
+                        <small>Runs the editor contents against a copy of the variables. Nothing real is changed.</small>
+                        <div style="display: flex; gap: 10px; margin-top: 5px;">
+                            <div style="flex: 1; display: flex; flex-direction: column; gap: 5px;">
+                                <label for="simple-logic-test-message">Fake last message (empty = real chat only)</label>
+                                <textarea id="simple-logic-test-message" class="text_pole" rows="2"></textarea>
+                                <select id="simple-logic-test-speaker" class="text_pole" title="Who sent the fake message">
+                                    <option value="user">Sent by User</option>
+                                    <option value="char">Sent by Character</option>
+                                </select>
+                                <label for="simple-logic-test-vars">Variables (<code>name = value</code>, <code>LOCAL name = value</code>)</label>
+                                <textarea id="simple-logic-test-vars" class="text_pole" rows="4" placeholder="hp = 5&#10;LOCAL mood = 2"></textarea>
+                                <label class="checkbox_label"><input id="simple-logic-test-real-vars" type="checkbox" checked /> Start from current variables</label>
+                                <label class="checkbox_label"><input id="simple-logic-test-macros" type="checkbox" checked /> Expand SillyTavern macros</label>
+                                <div style="display: flex; gap: 5px; align-items: center;">
+                                    <div id="simple-logic-test-run" class="menu_button menu_button_icon" title="Run the script"><i class="fa-solid fa-play"></i> Run</div>
+                                    <div id="simple-logic-test-prev" class="menu_button menu_button_icon" title="Previous step"><i class="fa-solid fa-backward-step"></i></div>
+                                    <div id="simple-logic-test-next" class="menu_button menu_button_icon" title="Next step"><i class="fa-solid fa-forward-step"></i></div>
+                                    <small id="simple-logic-test-step-label"></small>
+                                    <div id="simple-logic-test-benchmark-run" class="menu_button menu_button_icon" title="Time the script: compiling it, then 100 runs of the compiled program (nothing real is changed)"><i class="fa-solid fa-stopwatch"></i></div>
+                                    <small id="simple-logic-test-benchmark"></small>
+                                </div>
+                            </div>
+                            <div style="flex: 2; display: flex; flex-direction: column; gap: 5px; min-width: 0;">
+                                <b>Output</b>
+                                <pre id="simple-logic-test-output" style="white-space: pre-wrap; margin: 0;"></pre>
+                                <b>Steps</b>
+                                <div id="simple-logic-test-steps" style="max-height: 150px; overflow: auto; font-family: monospace; font-size: 0.85em;"></div>
+                                <b>Variable changes</b>
+                                <div id="simple-logic-test-diff" style="font-size: 0.85em;"></div>
+                            </div>
+                        </div>
+                        <label for="simple-logic-tests" style="margin-top: 10px; display: block;">Test cases (JSON, saved with the script; also run by <code>npm run test:scripts</code>)</label>
+                        <textarea id="simple-logic-tests" class="text_pole" rows="6" style="font-family: monospace;" placeholder='[{ "name": "low hp", "variables": { "global": { "hp": 2 } }, "expectOutput": "You are hurt", "expectVariables": { "global": { "hp": 2 } } }]'></textarea>
+                        <div style="display: flex; gap: 5px; margin-top: 5px;">
+                            <div id="simple-logic-test-add" class="menu_button menu_button_icon" title="Add a test case from the message and variables above, expecting the current result"><i class="fa-solid fa-plus"></i> Add current inputs as test</div>
+                            <div id="simple-logic-test-run-all" class="menu_button menu_button_icon" title="Run every test case against the editor contents"><i class="fa-solid fa-list-check"></i> Run tests</div>
+                        </div>
+                        <div id="simple-logic-test-results" style="font-size: 0.85em; margin-top: 5px;"></div>
+                    </div>
+                </div>
                 
+                <!-- Variable History: what each message changed in this chat -->
+                <div class="inline-drawer" style="margin-top: 10px;">
+                    <div class="inline-drawer-toggle inline-drawer-header">
+                        <b>Variable History</b>
+                        <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                    </div>
+                    <div class="inline-drawer-content">
+                        <small>Variable changes made while each reply was generated (and by scripts run on sent / received messages). They are undone automatically when the message is swiped away, regenerated or deleted.</small>
+                        <div id="simple-logic-history" style="max-height: 250px; overflow-y: auto; font-size: 0.85em; margin-top: 5px;"></div>
+                    </div>
+                </div>
+
                 <hr>
+                <div style="display: flex; gap: 10px; align-items: center;">
+                    <label for="simple-logic-default-scope">New variables are stored in:</label>
+                    <select id="simple-logic-default-scope" class="text_pole" style="width: auto;">
+                        <option value="global">Global (all chats)</option>
+                        <option value="local">Chat (this chat only)</option>
+                    </select>
+                    <label for="simple-logic-max-call-depth">Max CALL depth:</label>
+                    <input id="simple-logic-max-call-depth" class="text_pole" type="number" min="1" max="100" style="width: 60px;" />
+                    <label for="simple-logic-max-loop-iterations">Max loop iterations:</label>
+                    <input id="simple-logic-max-loop-iterations" class="text_pole" type="number" min="1" max="100000" style="width: 80px;" />
+                    <label for="simple-logic-say-separator" title="What goes between the text of two SAY lines (SAYLN always starts a new line, SAYRAW adds nothing)">Between SAYs:</label>
+                    <select id="simple-logic-say-separator" class="text_pole" style="width: auto;">
+                        <option value=" ">Space</option>
+                        <option value="&#10;">New line</option>
+                        <option value="">Nothing</option>
+                    </select>
+                </div>
+                <div style="display: flex; gap: 10px; align-items: center; margin-top: 5px;">
+                    <label class="checkbox_label" for="simple-logic-seeded-random" title="RANDOM, dice and PICK give the same result for a turn, even across swipes and regenerations">
+                        <input id="simple-logic-seeded-random" type="checkbox" />
+                        Stable randomness per turn
+                    </label>
+                    <div id="simple-logic-reroll" class="menu_button menu_button_icon" title="Roll new results for the current turn">
+                        <i class="fa-solid fa-dice"></i> Reroll
+                    </div>
+                    <label class="checkbox_label" for="simple-logic-journal" title="Record which variable changes each reply caused and undo them when it is swiped away, regenerated or deleted">
+                        <input id="simple-logic-journal" type="checkbox" />
+                        Undo variable changes on swipe / delete
+                    </label>
+                    <label class="checkbox_label" for="simple-logic-event-triggers" title="Run scripts that have 'Run on' events set. Turn off to pause them all.">
+                        <input id="simple-logic-event-triggers" type="checkbox" />
+                        Run event-triggered scripts
+                    </label>
+                </div>
                 <div style="margin-top: 10px;">
-                    <i>Variable Helper: Use <code>SET var = value</code> to set, and just use variable names in IF conditions.</i>
+                    <i>Variable Helper: Use <code>SET var = value</code> to set (values can be math like <code>SET hp = clamp(hp - 10, 0, 100)</code>, or use <code>INC var</code> / <code>DEC var 5</code>), and just use variable names in IF conditions. Combine conditions with <code>AND</code>, <code>OR</code>, <code>NOT</code> and <code>( )</code>. Prefix with <code>LOCAL</code> / <code>GLOBAL</code> to pick a scope (<code>SET LOCAL mood = 3</code>, <code>IF GLOBAL.gold > 10</code>); unprefixed names check the chat first, then global. Reuse scripts with <code>CALL name arg1 arg2</code> (read as <code>ARG1</code>, <code>ARG2</code>; end with <code>RETURN value</code>, capture with <code>CALL name 5 INTO result</code>). Loop with <code>REPEAT 3 AS i ... END</code> or <code>WHILE hp > 0 ... END</code>, using <code>BREAK</code> / <code>CONTINUE</code>.
+                    Chat values: <code>LAST_MESSAGE</code>, <code>LAST_USER_MESSAGE</code>, <code>LAST_CHAR_MESSAGE</code>, <code>MESSAGE[-2]</code>, <code>MESSAGE_COUNT</code>, <code>LAST_SPEAKER</code>, <code>CHAR</code>, <code>USER</code>.
+                    Regex: <code>IF LAST_MESSAGE MATCHES /buy (\d+)/i</code> then <code>SET qty = MATCH1</code>.
+                    Dice: <code>SET dmg = ROLL 2d6+3</code>, <code>4d6kh3</code>, <code>1d20adv</code> (write the count: <code>d20</code> alone is a variable, except in <code>ROLL d20</code>); choices: <code>PICK "rare":1 "common":9</code>.
+                    Text: <code>SAY You have \${gold} \${PLURAL(gold, "coin")}</code> (<code>\\\${</code> for a literal), <code>UPPER</code>, <code>LOWER</code>, <code>CAPITALIZE</code>, <code>LEN</code>, <code>SUBSTR(text, 0, 3)</code>, <code>REPLACE(text, "a", "b")</code>, <code>JOIN(bag, ", ", " and ")</code>, <code>FORMAT(gold, 2)</code>; <code>SAYLN</code> ends the line, <code>SAYRAW</code> adds no space.
+                    World Info: <code>IF WI_ACTIVE "Castle"</code>, <code>WI DISABLE "Castle" IN "My Lorebook"</code>, <code>WI ENABLE "Dragon"</code>; <code>INJECT "The castle burns." DEPTH 2 ROLE system</code> puts text into the next prompt.
+                    Output (once per reply, after it arrives): <code>NOTE text</code> / <code>NOTE APPEND text</code> (Author's Note), <code>NARRATE text</code>, <code>TOAST WARNING text</code>, <code>SEND AS "Guard" text</code>.
+                    Lists and maps: <code>SET bag = []</code>, <code>SET stats = {str: 3}</code>, <code>PUSH bag "sword"</code>, <code>REMOVE bag "sword"</code>, <code>CLEAR bag</code>, <code>IF "rope" IN bag</code>, <code>LENGTH(bag)</code>, <code>party[0]</code>, <code>stats.str</code>, <code>FOR EACH item IN bag ... END</code> (<code>FOR EACH key, value IN stats</code>).</i>
                 </div>
             </div>
         </div>
@@ -688,9 +2566,109 @@ jQuery(async () => {
 
     // 3. Bind UI Events
     $('#simple-logic-add').on('click', () => { selectedScriptIndex = -1; loadScriptToEditor(); });
+    $('#simple-logic-list-filter').on('change', renderScriptList);
+    $('#simple-logic-search').on('input', renderScriptList);
+    $('#simple-logic-sort')
+        .val(extension_settings[extensionKey].listSort)
+        .on('change', function () {
+            extension_settings[extensionKey].listSort = $(this).val();
+            saveSettingsDebounced();
+            renderScriptList();
+        });
+    $('#simple-logic-duplicate').on('click', duplicateCurrentScript);
     $('#simple-logic-save').on('click', saveCurrentScript);
     $('#simple-logic-delete').on('click', deleteCurrentScript);
 
+    scriptEditor = attachEditor($('#simple-logic-content')[0], { getCompletions: getEditorCompletions });
+
+    // Live linting while typing
+    let lintTimer = null;
+    $('#simple-logic-content').on('input', () => {
+        clearTimeout(lintTimer);
+        lintTimer = setTimeout(renderDiagnostics, 300);
+    });
+
+    $('#simple-logic-default-scope')
+        .val(extension_settings[extensionKey].defaultScope)
+        .on('change', function () {
+            extension_settings[extensionKey].defaultScope = $(this).val();
+            saveSettingsDebounced();
+        });
+
+    $('#simple-logic-max-call-depth')
+        .val(extension_settings[extensionKey].maxCallDepth)
+        .on('change', function () {
+            extension_settings[extensionKey].maxCallDepth = Math.max(1, parseInt($(this).val()) || defaultSettings.maxCallDepth);
+            saveSettingsDebounced();
+        });
+
+    $('#simple-logic-seeded-random')
+        .prop('checked', extension_settings[extensionKey].seededRandom)
+        .on('change', function () {
+            extension_settings[extensionKey].seededRandom = $(this).prop('checked');
+            saveSettingsDebounced();
+        });
+
+    $('#simple-logic-journal')
+        .prop('checked', extension_settings[extensionKey].journalVariables)
+        .on('change', function () {
+            extension_settings[extensionKey].journalVariables = $(this).prop('checked');
+            saveSettingsDebounced();
+        });
+
+    $('#simple-logic-event-triggers')
+        .prop('checked', extension_settings[extensionKey].eventTriggers)
+        .on('change', function () {
+            extension_settings[extensionKey].eventTriggers = $(this).prop('checked');
+            saveSettingsDebounced();
+        });
+
+    $('#simple-logic-reroll').on('click', () => {
+        rerollSeed();
+        toastr.info("Simple Logic will roll new results for this turn.");
+    });
+
+    $('#simple-logic-max-loop-iterations')
+        .val(extension_settings[extensionKey].maxLoopIterations)
+        .on('change', function () {
+            extension_settings[extensionKey].maxLoopIterations = Math.max(1, parseInt($(this).val()) || defaultSettings.maxLoopIterations);
+            saveSettingsDebounced();
+        });
+
+    $('#simple-logic-say-separator')
+        .val(extension_settings[extensionKey].saySeparator)
+        .on('change', function () {
+            extension_settings[extensionKey].saySeparator = $(this).val();
+            saveSettingsDebounced();
+        });
+
+    // History & Trash Bindings
+    $('#simple-logic-rev-compare').on('click', renderRevisionDiff);
+    $('#simple-logic-rev-left, #simple-logic-rev-right').on('change', renderRevisionDiff);
+    $('#simple-logic-trash-empty').on('click', emptyTrash);
+    renderTrash();
+
+    // Import / Export Bindings
+    $('#simple-logic-transfer-all').on('click', () => {
+        const boxes = $('#simple-logic-transfer-list input');
+        boxes.prop('checked', boxes.filter(':checked').length < boxes.length);
+    });
+    $('#simple-logic-export').on('click', exportSelectedScripts);
+    $('#simple-logic-embed').on('click', embedInCharacter);
+    $('#simple-logic-import').on('click', () => $('#simple-logic-import-file').trigger('click'));
+    $('#simple-logic-import-file').on('change', async function () {
+        for (const file of this.files) await importScriptFile(file);
+        this.value = '';
+    });
+
+    // Test Run Bindings
+    $('#simple-logic-test-run').on('click', runTestPanel);
+    $('#simple-logic-test-benchmark-run').on('click', runBenchmark);
+    $('#simple-logic-test-prev').on('click', () => renderTestStep(testStepIndex - 1));
+    $('#simple-logic-test-next').on('click', () => renderTestStep(testStepIndex + 1));
+    $('#simple-logic-test-add').on('click', addTestFromInputs);
+    $('#simple-logic-test-run-all').on('click', runTestCases);
+
     // AI Analysis Bindings
     $('#simple-logic-analyze-btn').on('click', ()=> {
         $('#simple-logic-ai-result').show();
@@ -725,24 +2703,8 @@ jQuery(async () => {
                 if (!args || typeof args !== 'string') return "";
                 
                 try {
-                    let scriptContent = args;
-                    
-                    // Check if it's a saved script name
-                    // We check if the argument contains newlines. If it has newlines, it's definitely raw code.
-                    // If it's a single word, it might be a script name.
-                    if (!args.includes('\n')) {
-                        // Trim and ensure we handle cases where getSavedScript might fail silently
-                        const scriptName = args.trim();
-                        const saved = getSavedScript(scriptName);
-                        if (saved) {
-                            scriptContent = saved.content;
-                            console.log(`[Simple Logic] Found saved script '${scriptName}'`);
-                        } else {
-                            console.log(`[Simple Logic] No script found named '${scriptName}', assuming raw code.`);
-                        }
-                    }
-
-                    return evaluateLogic(scriptContent);
+                    const { content, saved } = resolveScriptArgument(args);
+                    return timeScriptRun(saved, () => evaluateLogic(content, sillyTavernHost, { scriptId: saved?.id }));
                 } catch (e) {
                     console.error("Simple Logic Error:", e);
                     return `[Logic Error: ${e.message}]`;
@@ -822,4 +2784,17 @@ jQuery(async () => {
     };
     
     registerLogicMacro();
+    registerSlashCommands();
+    // Scripts bundled in character cards install when the character's chat opens (before chat-opened triggers run)
+    getContext().eventSource?.on(getContext().eventTypes.CHAT_CHANGED, () => {
+        installCardScripts();
+        renderScriptList();
+    });
+    installCardScripts();
+    // Before the triggers, so generation-start scripts are journaled against the reply
+    registerJournalEvents();
+    registerWorldInfoEvents();
+    registerOutputEvents();
+    registerEventTriggers();
+    renderJournal();
 });
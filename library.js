@@ -0,0 +1,216 @@
+/**
+ * Simple Logic Library Files
+ *
+ * Reading and writing script libraries for sharing: JSON files, the plain-text `.slogic` format,
+ * merging imported scripts into an existing library, and line diffs between script revisions.
+ * No SillyTavern dependencies.
+ *
+ * `.slogic` format: a file header, then one block per script. Each block starts with `@@ name:`;
+ * the header lines after it hold the other script fields as JSON, and everything up to the next
+ * `@@ name:` is the script code. Code lines that start with `@@` are written as `\@@`.
+ *
+ *   @@ simple-logic: 1
+ *
+ *   @@ name: combat_check
+ *   @@ triggers: {"received":true}
+ *   IF LAST_MESSAGE CONTAINS "attack"
+ *     SAY The enemy flinches!
+ *   END
+ */
+
+export const libraryFormat = 'simple-logic';
+export const libraryVersion = 1;
+
+const headerRegex = /^@@ ([\w-]+):\s?(.*)$/;
+
+/**
+ * @param {object[]} scripts - Scripts to export.
+ * @returns {string} - JSON text.
+ */
+export const exportLibraryJson = (scripts) => JSON.stringify({ format: libraryFormat, version: libraryVersion, scripts }, null, 2);
+
+/**
+ * @param {object[]} scripts - Scripts to export.
+ * @returns {string} - `.slogic` text.
+ */
+export const exportSlogic = (scripts) => {
+    const blocks = scripts.map(script => {
+        const { name, content, ...fields } = script;
+        const lines = [`@@ name: ${name}`];
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) lines.push(`@@ ${key}: ${JSON.stringify(value)}`);
+        }
+        lines.push(...(content || "").split('\n').map(l => l.startsWith('@@') ? `\\${l}` : l));
+        return lines.join('\n');
+    });
+    return [`@@ ${libraryFormat}: ${libraryVersion}`, ...blocks].join('\n\n') + '\n';
+};
+
+/**
+ * @param {string} text - `.slogic` text.
+ * @returns {object[]} - Scripts.
+ */
+export const parseSlogic = (text) => {
+    const scripts = [];
+    let current = null;
+    let inHeader = false;
+
+    const finish = () => {
+        if (!current) return;
+        current.content = current.lines.join('\n').replace(/\s+$/, '');
+        delete current.lines;
+        scripts.push(current);
+    };
+
+    text.replace(/\r\n/g, '\n').split('\n').forEach((line, index) => {
+        const header = line.match(headerRegex);
+        if (header && header[1] === 'name') {
+            finish();
+            current = { name: header[2].trim(), content: '', lines: [] };
+            inHeader = true;
+            return;
+        }
+        if (header && inHeader) {
+            try {
+                current[header[1]] = JSON.parse(header[2]);
+            } catch (e) {
+                throw new Error(`Line ${index + 1}: the value of "${header[1]}" is not valid JSON`);
+            }
+            return;
+        }
+        // File header (format version) and blank lines before the first script
+        if (!current) {
+            if (header && header[1] === libraryFormat && Number(header[2]) > libraryVersion) {
+                throw new Error(`This file was written by a newer version of Simple Logic (format ${header[2]})`);
+            }
+            return;
+        }
+
+        inHeader = false;
+        current.lines.push(line.startsWith('\\@@') ? line.substring(1) : line);
+    });
+    finish();
+
+    return scripts.map(s => ({ ...s, content: s.content.replace(/^\n+/, '') }));
+};
+
+/**
+ * Reads a library file in any supported shape: `.slogic` text, an exported JSON library,
+ * a bare array of scripts, or SillyTavern's settings.json.
+ * @param {string} text - File contents.
+ * @param {string} [fileName] - Used to pick the format; `.slogic` files are parsed as text.
+ * @returns {object[]} - Scripts with at least a name and content.
+ */
+export const parseLibraryFile = (text, fileName = "") => {
+    let scripts;
+    if (fileName.toLowerCase().endsWith('.slogic') || text.trimStart().startsWith('@@')) {
+        scripts = parseSlogic(text);
+    } else {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Not a JSON or .slogic file: ${e.message}`);
+        }
+        if (data?.format === libraryFormat && data.version > libraryVersion) {
+            throw new Error(`This file was written by a newer version of Simple Logic (format ${data.version})`);
+        }
+        scripts = Array.isArray(data) ? data : data?.scripts || data?.extension_settings?.simple_logic?.scripts;
+    }
+
+    if (!Array.isArray(scripts)) throw new Error("No scripts found in the file");
+    const invalid = scripts.find(s => !s || typeof s.name !== 'string' || !s.name.trim() || typeof s.content !== 'string');
+    if (invalid) throw new Error(`Every script needs a name and content (found ${JSON.stringify(invalid?.name ?? invalid)})`);
+    return scripts.map(s => ({ ...s, name: s.name.trim() }));
+};
+
+// Two scripts collide when they have the same name in the same scope (global, or bound to the same character / chat)
+const sameSlot = (a, b) => a.name === b.name && (a.scope || 'global') === (b.scope || 'global') && a.owner === b.owner;
+
+/**
+ * Merges imported scripts into a library. Scripts identical to an existing one are always skipped.
+ * @param {object[]} existing - Current library (not modified).
+ * @param {object[]} incoming - Scripts to add.
+ * @param {'rename'|'overwrite'|'skip'|Function} policy - What to do when a name is taken by a different script, or a
+ *   function that gets the existing and the incoming script and picks one of those per collision.
+ * @returns {{scripts: object[], added: string[], overwritten: string[], renamed: {from: string, to: string}[], skipped: string[]}}
+ */
+export const mergeScripts = (existing, incoming, policy = 'rename') => {
+    const scripts = [...existing];
+    const report = { added: [], overwritten: [], renamed: [], skipped: [] };
+
+    for (const script of incoming) {
+        const index = scripts.findIndex(s => sameSlot(s, script));
+        const action = index !== -1 && typeof policy === 'function' ? policy(scripts[index], script) : policy;
+        if (index === -1) {
+            scripts.push(script);
+            report.added.push(script.name);
+        } else if (scripts[index].content === script.content || action === 'skip') {
+            report.skipped.push(script.name);
+        } else if (action === 'overwrite') {
+            scripts[index] = { ...scripts[index], ...script };
+            report.overwritten.push(script.name);
+        } else {
+            let n = 2;
+            while (scripts.some(s => sameSlot(s, { ...script, name: `${script.name}_${n}` }))) n++;
+            const name = `${script.name}_${n}`;
+            scripts.push({ ...script, name });
+            report.renamed.push({ from: script.name, to: name });
+        }
+    }
+
+    return { scripts, ...report };
+};
+
+/**
+ * Line diff between two versions of a script (longest common subsequence), paired up for a side-by-side view:
+ * runs of removed and added lines sit next to each other as 'changed' rows.
+ * @param {string} oldText - Left side.
+ * @param {string} newText - Right side.
+ * @returns {{type: 'same'|'changed'|'removed'|'added', left: {line: number, text: string}|null, right: {line: number, text: string}|null}[]}
+ */
+export const diffLines = (oldText, newText) => {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+
+    // lcs[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const rows = [];
+    let removed = [];
+    let added = [];
+    const flush = () => {
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            const left = removed[k] || null;
+            const right = added[k] || null;
+            rows.push({ type: left && right ? 'changed' : left ? 'removed' : 'added', left, right });
+        }
+        removed = [];
+        added = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            flush();
+            rows.push({ type: 'same', left: { line: i + 1, text: a[i] }, right: { line: j + 1, text: b[j] } });
+            i++;
+            j++;
+        } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+            added.push({ line: j + 1, text: b[j] });
+            j++;
+        } else {
+            removed.push({ line: i + 1, text: a[i] });
+            i++;
+        }
+    }
+    flush();
+
+    return rows;
+};
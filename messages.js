@@ -0,0 +1,45 @@
+/**
+ * Simple Logic Chat Messages
+ *
+ * The chat messages NARRATE and SEND AS add. They are built here and added to the chat directly instead of
+ * going through /sys or /sendas, so script text (which can include chat text) is never read as STscript or
+ * expanded as macros. No SillyTavern imports; index.js passes in what it needs from SillyTavern.
+ */
+
+/**
+ * @param {string} text - Message text, used as is.
+ * @param {object} options
+ * @param {string} options.name - Narrator name (SillyTavern's systemUserName).
+ * @param {string} options.avatar - Narrator avatar URL.
+ * @param {string} options.type - SillyTavern's narrator message type.
+ * @param {string} options.sendDate - Timestamp.
+ * @returns {object} - Chat message.
+ */
+export const createNarratorMessage = (text, { name, avatar, type, sendDate }) => ({
+    name,
+    is_user: false,
+    is_system: false,
+    send_date: sendDate,
+    mes: text,
+    force_avatar: avatar,
+    extra: { type },
+});
+
+/**
+ * @param {string} name - Who the message is from.
+ * @param {string} text - Message text, used as is.
+ * @param {object} options
+ * @param {string} options.sendDate - Timestamp.
+ * @param {string} [options.avatar] - Avatar file of the character with that name, if there is one.
+ * @param {string} [options.avatarUrl] - Its thumbnail URL.
+ * @returns {object} - Chat message.
+ */
+export const createSendAsMessage = (name, text, { sendDate, avatar, avatarUrl }) => ({
+    name,
+    is_user: false,
+    is_system: false,
+    send_date: sendDate,
+    mes: text,
+    ...(avatar ? { original_avatar: avatar, force_avatar: avatarUrl } : {}),
+    extra: {},
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryHost, runScript, getCompiledScript, forgetCompiledScript } from "../engine.js";
+
+// The engine logs variable writes and errors
+console.debug = () => {};
+
+test("a saved script's program is compiled once and replaced when its text changes", () => {
+    const first = getCompiledScript("SAY 1", "cache-test");
+    assert.equal(getCompiledScript("SAY 1", "cache-test"), first);
+    const second = getCompiledScript("SAY 2", "cache-test");
+    assert.notEqual(second, first);
+    assert.equal(getCompiledScript("SAY 2", "cache-test"), second);
+});
+
+test("forgetCompiledScript drops the cached program", () => {
+    const program = getCompiledScript("SAY 3", "forget-test");
+    forgetCompiledScript("forget-test");
+    assert.notEqual(getCompiledScript("SAY 3", "forget-test"), program);
+});
+
+test("WHILE conditions are only substituted and left uncached when the WHILE line has macros", () => {
+    let substituted = 0;
+    let n = 0;
+    const host = createMemoryHost({ substitute: (text) => (substituted++, text.replace("{{limit}}", String(3 + n++))) });
+    const plain = "SET i = 0\nWHILE i < 3\nINC i\nEND";
+    runScript(plain, host, { scriptId: "while-plain" });
+    assert.equal(substituted, 0);
+    assert.equal(getCompiledScript(plain, "while-plain").expressions.size, 2);
+
+    const macro = "SET j = 0\nWHILE j < {{limit}}\nINC j\nEND";
+    runScript(macro, host, { scriptId: "while-macro" });
+    assert.ok(substituted > 1);
+    // Only "0" from SET is cached; the expanded WHILE conditions aren't
+    assert.deepEqual([...getCompiledScript(macro, "while-macro").expressions.keys()], ["0"]);
+});
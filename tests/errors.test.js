@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryHost, runScript } from "../engine.js";
+
+// The engine logs variable writes and errors
+console.debug = () => {};
+
+test("runScript collects inline errors, including from CALLed scripts", () => {
+    const host = createMemoryHost({ getScript: (name) => name === "broken" ? { name, content: "ELSE" } : null });
+    const result = runScript('SET a = 5 / 0\nSAY "${1 / 0}"\nCALL broken\nSAY ok', host);
+    assert.match(result.output, /\[Error: Division by zero/);
+    assert.equal(result.errors.length, 3);
+    assert.equal(result.errors[2], "ELSE without IF");
+});
+
+test("runScript without errors returns an empty list", () => {
+    assert.deepEqual(runScript("SAY fine", createMemoryHost()).errors, []);
+});
+
+test("variables can't take the name of a chat accessor", () => {
+    const host = createMemoryHost({ names: { user: "User" } });
+    const result = runScript("SET user = 5\nSAY ${user}", host);
+    assert.deepEqual(result.errors, [`"user" can't be a variable name: USER is a built-in word (pick another name)`]);
+    assert.match(result.output, /User$/);
+});
@@ -0,0 +1,11 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryHost, runScript } from "../engine.js";
+
+// The engine logs variable writes and errors
+console.debug = () => {};
+
+test("a variable named like a die reads as the variable; dice need a count outside ROLL", () => {
+    const host = createMemoryHost({ createRandom: () => () => 0.99 });
+    assert.equal(runScript("SET d20 = 5\nSAY ${d20 + 0} ${ROLL d20} ${1d20}", host).output, "5 20 20");
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { exportSlogic, parseSlogic, parseLibraryFile, mergeScripts, diffLines } from "../library.js";
+
+test(".slogic round trip keeps code lines that start with @@ and the header fields", () => {
+    const scripts = [
+        { name: "greet", content: "SAY hi\n@@ name: not a header\nSAY bye", triggers: { received: true }, tags: ["a", "b"] },
+        { name: "empty", content: "" },
+    ];
+    const text = exportSlogic(scripts);
+    assert.match(text, /^\\@@ name: not a header$/m);
+    assert.match(text, /^@@ triggers: {"received":true}$/m);
+    assert.deepEqual(parseSlogic(text), scripts);
+});
+
+test("files from a newer format version are refused", () => {
+    assert.throws(() => parseSlogic("@@ simple-logic: 2\n\n@@ name: x\nSAY x"), /newer version of Simple Logic \(format 2\)/);
+    assert.throws(() => parseLibraryFile(JSON.stringify({ format: "simple-logic", version: 2, scripts: [] })), /newer version/);
+});
+
+test("a header value that isn't JSON names its line", () => {
+    assert.throws(() => parseSlogic("@@ name: x\n@@ tags: [oops"), /Line 2: the value of "tags" is not valid JSON/);
+});
+
+const library = [
+    { name: "combat", content: "SAY global" },
+    { name: "combat", content: "SAY alice", scope: "character", owner: "alice.png" },
+];
+
+test("merge: rename keeps both and picks a free name in the same slot", () => {
+    const result = mergeScripts(library, [{ name: "combat", content: "SAY new", scope: "character", owner: "alice.png" }], 'rename');
+    assert.deepEqual(result.renamed, [{ from: "combat", to: "combat_2" }]);
+    assert.equal(result.scripts.length, 3);
+    assert.deepEqual(result.scripts[2], { name: "combat_2", content: "SAY new", scope: "character", owner: "alice.png" });
+});
+
+test("merge: overwrite replaces only the script in the same scope and owner", () => {
+    const result = mergeScripts(library, [{ name: "combat", content: "SAY bob", scope: "character", owner: "bob.png" }, { name: "combat", content: "SAY changed" }], 'overwrite');
+    assert.deepEqual(result.added, ["combat"]);
+    assert.deepEqual(result.overwritten, ["combat"]);
+    assert.equal(result.scripts[0].content, "SAY changed");
+    assert.equal(result.scripts[1].content, "SAY alice");
+    assert.equal(result.scripts[2].owner, "bob.png");
+});
+
+test("merge: skip leaves collisions alone, and identical scripts are always skipped", () => {
+    const result = mergeScripts(library, [{ name: "combat", content: "SAY other" }], 'skip');
+    assert.deepEqual(result.skipped, ["combat"]);
+    assert.deepEqual(result.scripts, library);
+    assert.deepEqual(mergeScripts(library, [{ name: "combat", content: "SAY global" }], 'overwrite').skipped, ["combat"]);
+});
+
+test("merge: a policy function decides per collision", () => {
+    const result = mergeScripts(library, [{ name: "combat", content: "SAY a" }, { name: "combat", content: "SAY b", scope: "character", owner: "alice.png" }],
+        (old) => old.scope === 'character' ? 'overwrite' : 'rename');
+    assert.deepEqual(result.renamed, [{ from: "combat", to: "combat_2" }]);
+    assert.deepEqual(result.overwritten, ["combat"]);
+});
+
+test("diffLines pairs removed and added lines as changed rows", () => {
+    assert.deepEqual(diffLines("a\nb\nc", "a\nB\nc\nd"), [
+        { type: 'same', left: { line: 1, text: "a" }, right: { line: 1, text: "a" } },
+        { type: 'changed', left: { line: 2, text: "b" }, right: { line: 2, text: "B" } },
+        { type: 'same', left: { line: 3, text: "c" }, right: { line: 3, text: "c" } },
+        { type: 'added', left: null, right: { line: 4, text: "d" } },
+    ]);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryHost, lintScript } from "../engine.js";
+
+const lint = (script) => lintScript(script, createMemoryHost({ variables: { global: { hp: 5 } } }))
+    .map(({ line, severity, message }) => `${line} ${severity}: ${message}`);
+
+test("unbalanced blocks", () => {
+    assert.deepEqual(lint("IF hp > 1\nSAY x"), ["1 error: IF is never closed with END"]);
+    assert.deepEqual(lint("END"), ["1 error: END without a matching IF, REPEAT, WHILE or FOR EACH"]);
+    assert.deepEqual(lint("ELSE\nSAY x"), ["1 error: ELSE without a matching IF"]);
+});
+
+test("unknown commands suggest the closest one", () => {
+    assert.deepEqual(lint("SETT hp = 1\nXYZZY"), [
+        '1 error: Unknown command "SETT" (did you mean SET?); the line is ignored',
+        '2 error: Unknown command "XYZZY"; the line is ignored',
+    ]);
+});
+
+test("comment-looking lines are reported as unsupported", () => {
+    assert.deepEqual(lint("# note\n// note"), [
+        '1 error: Unknown command "#": scripts have no comment syntax; the line is ignored',
+        '2 error: Unknown command "//": scripts have no comment syntax; the line is ignored',
+    ]);
+});
+
+test("code after BREAK is unreachable", () => {
+    assert.deepEqual(lint("REPEAT 2\nBREAK\nSAY x\nSAY y\nEND"), ["3 warning: Unreachable: this line comes after BREAK and never runs"]);
+});
+
+test("variables that are never set and don't exist", () => {
+    assert.deepEqual(lint("SET a = 1\nSAY ${a} ${hp} ${foo}"), [
+        `2 warning: Variable "foo" is never set by this script and doesn't exist yet (reads as 0)`,
+    ]);
+});
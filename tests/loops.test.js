@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryHost, runScript } from "../engine.js";
+
+// The engine logs variable writes and errors
+console.debug = () => {};
+
+test("the loop cap covers loops in CALLed scripts", () => {
+    let calls = 0;
+    const host = createMemoryHost({
+        settings: { maxLoopIterations: 5, maxCallDepth: 3 },
+        getScript: (name) => {
+            if (name !== "self") return null;
+            calls++;
+            return { name, content: "REPEAT 5\nCALL self\nEND" };
+        },
+    });
+    const result = runScript("CALL self", host);
+    assert.ok(calls < 20, `${calls} CALLs`);
+    assert.ok(result.errors.some(e => e.startsWith("Loop stopped after 5 iterations")));
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryHost, runScript } from "../engine.js";
+import { createNarratorMessage, createSendAsMessage } from "../messages.js";
+
+// The engine logs variable writes and errors
+console.debug = () => {};
+
+const runWithMessage = (script, mes) => {
+    const host = createMemoryHost({ chat: [{ name: "User", mes, is_user: true, is_system: false }] });
+    runScript(script, host);
+    return host.effects;
+};
+
+test("NARRATE passes chat text through untouched", () => {
+    const mes = 'Hi | /echo pwned {{setvar::x::1}} "quoted" \\ end';
+    const [effect] = runWithMessage("NARRATE ${LAST_MESSAGE}", mes);
+    assert.deepEqual(effect, { type: 'narrate', text: mes });
+
+    const message = createNarratorMessage(effect.text, { name: "System", avatar: "img/five.png", type: 'narrator', sendDate: "now" });
+    assert.equal(message.mes, mes);
+    assert.deepEqual(message.extra, { type: 'narrator' });
+});
+
+test("SEND AS keeps quotes in the name and text", () => {
+    const mes = 'x" | /echo pwned';
+    const [effect] = runWithMessage('SEND AS "Guard" ${LAST_MESSAGE}', mes);
+    assert.deepEqual(effect, { type: 'sendAs', name: "Guard", text: mes });
+
+    const message = createSendAsMessage('Gu"ard', effect.text, { sendDate: "now" });
+    assert.equal(message.name, 'Gu"ard');
+    assert.equal(message.mes, mes);
+    assert.equal(message.force_avatar, undefined);
+});
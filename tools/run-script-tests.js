@@ -0,0 +1,57 @@
+/**
+ * Runs the test cases saved with Simple Logic scripts, outside SillyTavern.
+ *
+ * Usage: node tools/run-script-tests.js <file> [script name ...]
+ *
+ * The file can be an exported library (.json or .slogic), a bare array of { name, content, tests },
+ * or SillyTavern's settings.json (extension_settings.simple_logic.scripts).
+ * Exits with code 1 if any test fails.
+ */
+
+import { readFileSync } from "node:fs";
+import { runTestCase } from "../engine.js";
+import { parseLibraryFile } from "../library.js";
+
+const [file, ...onlyNames] = process.argv.slice(2);
+if (!file) {
+    console.error("Usage: node tools/run-script-tests.js <file> [script name ...]");
+    process.exit(2);
+}
+
+const text = readFileSync(file, "utf8");
+let scripts;
+try {
+    scripts = parseLibraryFile(text, file);
+} catch (e) {
+    console.error(`${file}: ${e.message}`);
+    process.exit(2);
+}
+
+// The engine logs every SET; keep the report readable
+console.debug = () => {};
+
+const getScript = (name) => scripts.find(s => s.name === name) || null;
+const settings = text.trimStart().startsWith('{') ? JSON.parse(text).extension_settings?.simple_logic || {} : {};
+let passed = 0;
+let failed = 0;
+
+for (const script of scripts) {
+    if (onlyNames.length && !onlyNames.includes(script.name)) continue;
+    if (!script.tests?.length) continue;
+
+    console.log(script.name);
+    for (const testCase of script.tests) {
+        const result = runTestCase(script.content, testCase, { getScript, settings });
+        if (result.passed) {
+            passed++;
+            console.log(`  ✓ ${result.name}`);
+        } else {
+            failed++;
+            console.log(`  ✗ ${result.name}`);
+            result.failures.forEach(f => console.log(`      ${f}`));
+        }
+    }
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) process.exitCode = 1;